@@ -0,0 +1,203 @@
+/**
+ * Performance Budgets
+ *
+ * Limits on the size of the built theme, checked by build.js and package.js
+ * against the build report (build/build-report.json). Set them in
+ * manifest.json:
+ *
+ *   "budgets": {
+ *     "totalSize": "1 MB",    // every packaged file, uncompressed, source maps included
+ *     "scriptSize": "60 KB",  // all scripts, gzipped
+ *     "styleSize": "15 KB",   // all stylesheets, gzipped
+ *     "imageSize": "100 KB",  // the largest image
+ *     "imageCount": 20        // number of images, WebP and resized copies included
+ *   }
+ *
+ * Sizes are a number of bytes or a string like "250 KB" (B, KB or MB; 1 KB is
+ * 1024 bytes). Budgets that aren't set use DEFAULT_BUDGETS; set one to false
+ * to not check it.
+ */
+
+const DEFAULT_BUDGETS = {
+  totalSize: '2 MB',
+  scriptSize: '100 KB',
+  styleSize: '30 KB',
+  imageSize: '200 KB',
+  imageCount: 30
+};
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024 };
+
+// Most assets listed under a budget that's exceeded
+const MAX_LISTED_ASSETS = 10;
+
+const BUDGETS = [
+  {
+    key: 'totalSize',
+    label: 'Total size',
+    files: report => report.files,
+    size: entry => entry.bytes + (entry.mapBytes || 0),
+    note: entry => entry.mapBytes ? 'source map included' : '',
+    total: true
+  },
+  {
+    key: 'scriptSize',
+    label: 'Scripts (gzipped)',
+    files: report => report.files.filter(entry => entry.type === 'script'),
+    size: entry => entry.gzipBytes,
+    total: true
+  },
+  {
+    key: 'styleSize',
+    label: 'Styles (gzipped)',
+    files: report => report.files.filter(entry => entry.type === 'style'),
+    size: entry => entry.gzipBytes,
+    total: true
+  },
+  {
+    key: 'imageSize',
+    label: 'Largest image',
+    files: report => report.files.filter(entry => entry.type === 'image'),
+    size: entry => entry.bytes
+  },
+  {
+    key: 'imageCount',
+    label: 'Images',
+    files: report => report.files.filter(entry => entry.type === 'image'),
+    size: entry => entry.bytes,
+    count: true
+  }
+];
+
+/**
+ * Parse a size like "250 KB"
+ * @param {number|string} value - Bytes, or a number with B, KB or MB
+ * @returns {number} Bytes
+ */
+function parseSize(value) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+
+  const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)$/i);
+  if (!match) {
+    throw new Error(`Invalid size ${JSON.stringify(value)} (use bytes or a size like "250 KB")`);
+  }
+  return Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2].toUpperCase()]);
+}
+
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Read the budgets set in manifest.json, with defaults for the others
+ * @param {Object} budgets - The manifest's "budgets" (optional)
+ * @returns {Object} Limits by budget key (bytes, or a count for imageCount); false when turned off
+ */
+function parseBudgets(budgets = {}) {
+  if (budgets === null || typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new Error('"budgets" must be an object');
+  }
+
+  Object.keys(budgets).forEach(key => {
+    if (!(key in DEFAULT_BUDGETS)) {
+      throw new Error(`Unknown budget "${key}" (expected ${Object.keys(DEFAULT_BUDGETS).join(', ')})`);
+    }
+  });
+
+  const limits = {};
+  BUDGETS.forEach(({ key, count }) => {
+    const value = key in budgets ? budgets[key] : DEFAULT_BUDGETS[key];
+    if (value === false) {
+      limits[key] = false;
+    } else if (count) {
+      if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Budget "${key}" must be a whole number, got ${JSON.stringify(value)}`);
+      }
+      limits[key] = value;
+    } else {
+      try {
+        limits[key] = parseSize(value);
+      } catch (error) {
+        throw new Error(`Budget "${key}": ${error.message}`);
+      }
+    }
+  });
+  return limits;
+}
+
+/**
+ * Check a build report against the budgets
+ * @param {Object} report - Build report (see build.js)
+ * @param {Object} limits - Limits from parseBudgets()
+ * @returns {Array<{key, label, value, limit, passed, count, assets: Array<{file, size, note}>}>} One result per budget that's checked
+ */
+function checkBudgets(report, limits) {
+  return BUDGETS
+    .filter(budget => limits[budget.key] !== false)
+    .map(budget => {
+      const assets = budget.files(report)
+        .map(entry => ({ file: entry.file, size: budget.size(entry), note: budget.note ? budget.note(entry) : '' }))
+        .sort((a, b) => b.size - a.size);
+
+      let value;
+      if (budget.count) {
+        value = assets.length;
+      } else if (budget.total) {
+        value = assets.reduce((sum, asset) => sum + asset.size, 0);
+      } else {
+        value = assets.length > 0 ? assets[0].size : 0;
+      }
+
+      const limit = limits[budget.key];
+      return {
+        key: budget.key,
+        label: budget.label,
+        value,
+        limit,
+        passed: value <= limit,
+        count: Boolean(budget.count),
+        // The largest image budget is per asset; list only the images over it
+        assets: budget.total || budget.count ? assets : assets.filter(asset => asset.size > limit)
+      };
+    });
+}
+
+/**
+ * Print the budget results, listing the assets behind each exceeded budget
+ * @returns {boolean} Whether every budget passed
+ */
+function printBudgets(results) {
+  const format = (result, value) => result.count ? String(value) : formatBytes(value);
+  const column = text => text.padStart(11);
+  const width = Math.max(...results.map(result => result.label.length)) + 2;
+
+  console.log('\n📏 Performance budgets\n');
+  console.log(`     ${'Budget'.padEnd(width)}${column('Actual')}${column('Limit')}`);
+  results.forEach(result => {
+    console.log(`  ${result.passed ? '✅' : '❌'} ${result.label.padEnd(width)}${column(format(result, result.value))}${column(format(result, result.limit))}`);
+    if (result.passed) return;
+
+    const listed = result.assets.slice(0, MAX_LISTED_ASSETS);
+    listed.forEach(asset => console.log(`       - ${asset.file} (${formatBytes(asset.size)}${asset.note ? `, ${asset.note}` : ''})`));
+    if (result.assets.length > listed.length) {
+      console.log(`       ... and ${result.assets.length - listed.length} more`);
+    }
+  });
+
+  const failed = results.filter(result => !result.passed);
+  if (failed.length > 0) {
+    console.log(`\n❌ ${failed.length} performance budget${failed.length === 1 ? '' : 's'} exceeded. Make the files above smaller, or change "budgets" in manifest.json.`);
+  }
+  return failed.length === 0;
+}
+
+module.exports = {
+  DEFAULT_BUDGETS,
+  parseSize,
+  parseBudgets,
+  checkBudgets,
+  printBudgets,
+  formatBytes
+};
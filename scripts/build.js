@@ -1,45 +1,415 @@
 /**
  * Theme Build Script
- * 
- * Prepares theme files for production (minification, optimization, etc.)
- * For now, this is a placeholder - you can add minification later
+ *
+ * Builds theme-template/ into build/ for production:
+ * - The scripts index.html loads are bundled, in order, into one minified
+ *   file, and its stylesheets into one minified stylesheet, each with a
+ *   source map
+ * - Bundles are named after a hash of their content (scripts/theme.1a2b3c4d.js),
+ *   so browsers can cache them until they change
+ * - index.html loads the bundles instead of the source files, and sw.js
+ *   precaches them under a new cache version
+ * - The web app manifest browsers install the store from is written to
+ *   app.webmanifest, from manifest.json's name, description and default
+ *   colors, and linked from index.html
+ * - Source files, scripts index.html doesn't load (e.g., custom-api.js while
+ *   it's commented out) and dotfiles like .gitkeep are left out
+ * - PNG and JPEG images are recompressed, and get WebP and resized copies
+ *   listed in image-variants.json (see images.js)
+ * - A report of every file's size, gzipped size included, is printed and
+ *   saved to build/build-report.json (not packaged)
+ * - The sizes are checked against the performance budgets in manifest.json
+ *   (see budgets.js); the build fails when one is exceeded
  */
 
 const fs = require('fs');
 const path = require('path');
-
-console.log('🔨 Building theme...\n');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { minify } = require('terser');
+const CleanCSS = require('clean-css');
+const { parseBudgets, checkBudgets, printBudgets, formatBytes } = require('./budgets');
+const { VARIANTS_FILE, parseImageOptions, isOptimizableImage, optimizeImages } = require('./images');
+const { WebAppManifest } = require('../theme-template/scripts/offline');
 
 const themeDir = path.join(__dirname, '..', 'theme-template');
 const buildDir = path.join(__dirname, '..', 'build');
 
-// Create build directory
-if (!fs.existsSync(buildDir)) {
+const REPORT_FILE = 'build-report.json';
+const SCRIPT_BUNDLE = 'scripts/theme';
+const STYLE_BUNDLE = 'styles/theme';
+const WEB_MANIFEST_FILE = 'app.webmanifest';
+const WEB_MANIFEST_ICON_SIZES = [192, 512];
+
+// Matches a whole tag on its own line (with its indentation and line break) or inline
+const COMMENT_PATTERN = /^[ \t]*<!--[\s\S]*?-->[ \t]*\r?\n|<!--[\s\S]*?-->/gm;
+const SCRIPT_TAG_PATTERN = /^[ \t]*<script\b[^>]*\bsrc="([^"]+)"[^>]*>\s*<\/script>[ \t]*\r?\n|<script\b[^>]*\bsrc="([^"]+)"[^>]*>\s*<\/script>/gm;
+const LINK_TAG_PATTERN = /^[ \t]*<link\b[^>]*>[ \t]*\r?\n|<link\b[^>]*>/gm;
+
+/**
+ * Build the theme
+ */
+async function build() {
+  console.log('🔨 Building theme...\n');
+
+  fs.rmSync(buildDir, { recursive: true, force: true });
   fs.mkdirSync(buildDir, { recursive: true });
-}
 
-// Copy theme files to build directory
-function copyRecursive(src, dest) {
-  const exists = fs.existsSync(src);
-  const stats = exists && fs.statSync(src);
-  const isDirectory = exists && stats.isDirectory();
-  
-  if (isDirectory) {
-    if (!fs.existsSync(dest)) {
-      fs.mkdirSync(dest, { recursive: true });
+  const manifest = JSON.parse(readThemeFile('manifest.json'));
+  const budgets = parseBudgets(manifest.budgets);
+  const imageOptions = parseImageOptions(manifest.images);
+
+  const html = stripComments(readThemeFile('index.html'));
+  const scripts = getScriptSources(html);
+  const styles = getStylesheets(html);
+  const outputs = [];
+
+  const bundled = new Map(); // Source file -> bundle it's in
+
+  if (scripts.length > 0) {
+    console.log(`Bundling ${scripts.length} script${scripts.length === 1 ? '' : 's'}...`);
+    const scriptBundle = await bundleScripts(scripts);
+    scripts.forEach(file => bundled.set(file, scriptBundle.file));
+    outputs.push(scriptBundle);
+  }
+
+  if (styles.length > 0) {
+    console.log(`Bundling ${styles.length} stylesheet${styles.length === 1 ? '' : 's'}...`);
+    const styleBundle = bundleStyles(styles);
+    styles.forEach(file => bundled.set(file, styleBundle.file));
+    outputs.push(styleBundle);
+  }
+
+  console.log('Writing the web app manifest...');
+  outputs.push(writeOutput(WEB_MANIFEST_FILE, JSON.stringify(createWebAppManifest(manifest), null, 2) + '\n'));
+
+  console.log('Rewriting index.html...');
+  outputs.push(writeOutput('index.html', linkWebAppManifest(rewriteHtml(html, bundled))));
+
+  console.log('Copying theme files...');
+  const skipped = [];
+  const images = [];
+  listThemeFiles().forEach(file => {
+    if (file === 'index.html' || file === 'sw.js' || bundled.has(file)) return;
+    if (isDevFile(file)) {
+      skipped.push(file);
+      return;
     }
-    fs.readdirSync(src).forEach(childItemName => {
-      copyRecursive(
-        path.join(src, childItemName),
-        path.join(dest, childItemName)
-      );
+    const contents = fs.readFileSync(path.join(themeDir, file));
+    if (isOptimizableImage(file)) {
+      images.push({ file, contents });
+      return;
+    }
+    outputs.push(writeOutput(file, contents));
+  });
+
+  if (images.length > 0) {
+    console.log(`Optimizing ${images.length} image${images.length === 1 ? '' : 's'}...`);
+    const optimized = await optimizeImages(images, imageOptions);
+    optimized.files.forEach(({ file, contents, source }) => {
+      const output = writeOutput(file, contents);
+      if (source) output.sources = [source];
+      outputs.push(output);
+    });
+    if (Object.keys(optimized.variants).length > 0) {
+      outputs.push(writeOutput(VARIANTS_FILE, JSON.stringify(optimized.variants, null, 2) + '\n'));
+    }
+  }
+
+  if (fs.existsSync(path.join(themeDir, 'sw.js'))) {
+    console.log('Updating the service worker...');
+    const cacheVersion = hash(Buffer.concat(outputs.map(output => fs.readFileSync(path.join(buildDir, output.file)))));
+    outputs.push(await buildServiceWorker(bundled, outputs, cacheVersion));
+  }
+
+  if (skipped.length > 0) {
+    console.log(`\nLeft out (not loaded by index.html, or development only):`);
+    skipped.forEach(file => console.log(`  - ${file}`));
+  }
+
+  const report = createReport(outputs);
+  fs.writeFileSync(path.join(buildDir, REPORT_FILE), JSON.stringify(report, null, 2) + '\n');
+  printReport(report);
+
+  if (!printBudgets(checkBudgets(report, budgets))) {
+    process.exit(1);
+  }
+
+  console.log('\n✅ Build complete! Theme files are in the build/ directory.');
+}
+
+/**
+ * Local scripts index.html loads, in order
+ */
+function getScriptSources(html) {
+  return [...html.matchAll(SCRIPT_TAG_PATTERN)]
+    .map(match => match[1] || match[2])
+    .filter(isLocal)
+    .map(normalizePath);
+}
+
+/**
+ * Local stylesheets index.html links, in order
+ */
+function getStylesheets(html) {
+  return [...html.matchAll(LINK_TAG_PATTERN)]
+    .filter(match => /\brel="stylesheet"/.test(match[0]))
+    .map(match => (match[0].match(/\bhref="([^"]+)"/) || [])[1])
+    .filter(href => href && isLocal(href))
+    .map(normalizePath);
+}
+
+function stripComments(html) {
+  return html.replace(COMMENT_PATTERN, '');
+}
+
+function isLocal(url) {
+  return !/^([a-z][a-z0-9+.-]*:|\/\/)/i.test(url);
+}
+
+function normalizePath(url) {
+  return path.posix.normalize(url.split(/[?#]/)[0]).replace(/^\//, '');
+}
+
+/**
+ * Bundle and minify scripts into scripts/theme.<hash>.js
+ * Top-level names are kept, so the scripts still share their globals
+ * (initTheme, StoreAPIClient, ...) as they do when loaded one by one.
+ */
+async function bundleScripts(files) {
+  const bundleDir = path.posix.dirname(SCRIPT_BUNDLE);
+  const sources = {};
+  files.forEach(file => {
+    sources[path.posix.relative(bundleDir, file)] = readThemeFile(file);
+  });
+
+  const result = await minify(sources, {
+    compress: { passes: 2 },
+    mangle: true,
+    format: { comments: false },
+    sourceMap: { includeSources: true }
+  });
+
+  return writeBundle(SCRIPT_BUNDLE, '.js', result.code, JSON.parse(result.map), files,
+    file => `\n//# sourceMappingURL=${file}.map\n`);
+}
+
+/**
+ * Bundle and minify stylesheets into styles/theme.<hash>.css
+ */
+function bundleStyles(files) {
+  const bundleDir = path.posix.dirname(STYLE_BUNDLE);
+  const sources = {};
+  files.forEach(file => {
+    sources[path.posix.relative(bundleDir, file)] = { styles: readThemeFile(file) };
+  });
+
+  const result = new CleanCSS({ level: 1, rebase: false, sourceMap: true, sourceMapInlineSources: true }).minify(sources);
+  if (result.errors.length > 0) {
+    throw new Error(`Could not minify ${files.join(', ')}: ${result.errors.join('; ')}`);
+  }
+  result.warnings.forEach(warning => console.log(`  ⚠️  ${warning}`));
+
+  return writeBundle(STYLE_BUNDLE, '.css', result.styles, JSON.parse(result.sourceMap.toString()), files,
+    file => `\n/*# sourceMappingURL=${file}.map */\n`);
+}
+
+/**
+ * Write a bundle named after its content's hash, and its source map
+ */
+function writeBundle(name, extension, code, map, sources, sourceMapComment) {
+  const contentHash = hash(code);
+  const file = `${name}.${contentHash}${extension}`;
+  const fileName = path.posix.basename(file);
+
+  map.file = fileName;
+  writeOutput(`${file}.map`, JSON.stringify(map));
+
+  const output = writeOutput(file, code + sourceMapComment(fileName));
+  output.hash = contentHash;
+  output.sources = sources;
+  output.map = `${file}.map`;
+  return output;
+}
+
+/**
+ * Replace the tags loading bundled files with one tag for each bundle
+ * (where the first of its files was loaded)
+ */
+function rewriteHtml(html, bundled) {
+  const added = new Set();
+  const replace = (tag, attribute, url) => {
+    const bundle = url && isLocal(url) && bundled.get(normalizePath(url));
+    if (!bundle) return tag;
+    if (added.has(bundle)) return '';
+    added.add(bundle);
+    return tag.replace(new RegExp(`\\b${attribute}="[^"]+"`), `${attribute}="${bundle}"`);
+  };
+
+  return html
+    .replace(SCRIPT_TAG_PATTERN, (tag, lineSrc, inlineSrc) => replace(tag, 'src', lineSrc || inlineSrc))
+    .replace(LINK_TAG_PATTERN, tag => replace(tag, 'href', /\brel="stylesheet"/.test(tag) && (tag.match(/\bhref="([^"]+)"/) || [])[1]));
+}
+
+/**
+ * The web app manifest for the theme, with the assets/android-chrome-*.png icons
+ * A served file, since browsers don't install from one made in the page (e.g., a blob: URL).
+ */
+function createWebAppManifest(manifest) {
+  const colors = manifest.settings?.colors || {};
+  return WebAppManifest.create({
+    name: manifest.name,
+    description: manifest.description,
+    themeColor: colors.primary_color?.default,
+    backgroundColor: colors.background_color?.default,
+    icons: WEB_MANIFEST_ICON_SIZES
+      .map(size => ({ src: `assets/android-chrome-${size}x${size}.png`, sizes: `${size}x${size}`, type: 'image/png' }))
+      .filter(icon => fs.existsSync(path.join(themeDir, icon.src)))
+  });
+}
+
+/**
+ * Link the web app manifest from the end of <head>, unless index.html links one itself
+ */
+function linkWebAppManifest(html) {
+  if (/<link\b[^>]*\brel="manifest"/.test(html)) return html;
+  return html.replace(/^([ \t]*)<\/head>/m, (closing, indent) => `${indent}  <link rel="manifest" href="${WEB_MANIFEST_FILE}">\n${closing}`);
+}
+
+/**
+ * Precache the built files instead of the sources, under a new cache version
+ * so installed service workers drop the old files
+ */
+async function buildServiceWorker(bundled, outputs, cacheVersion) {
+  let code = readThemeFile('sw.js');
+  const built = new Set(outputs.map(output => output.file));
+
+  const precacheMatch = code.match(/const PRECACHE_URLS = \[([\s\S]*?)\];/);
+  if (precacheMatch) {
+    const urls = [];
+    [...precacheMatch[1].matchAll(/'([^']*)'/g)].forEach(([, url]) => {
+      const file = url === './' ? url : bundled.get(normalizePath(url)) || normalizePath(url);
+      if ((file === './' || built.has(file)) && !urls.includes(file)) urls.push(file);
     });
+    // Written by the build, so the source sw.js can't list it
+    if (built.has(WEB_MANIFEST_FILE) && !urls.includes(WEB_MANIFEST_FILE)) urls.push(WEB_MANIFEST_FILE);
+    code = code.replace(precacheMatch[0], `const PRECACHE_URLS = ${JSON.stringify(urls)};`);
   } else {
-    fs.copyFileSync(src, dest);
+    console.log('  ⚠️  PRECACHE_URLS not found in sw.js; it will precache nothing new');
   }
+
+  code = code.replace(/const CACHE_VERSION = '([^']*)';/, (line, version) => `const CACHE_VERSION = '${version}-${cacheVersion}';`);
+
+  const result = await minify({ 'sw.js': code }, {
+    compress: { passes: 2 },
+    mangle: true,
+    format: { comments: false },
+    sourceMap: { includeSources: true, url: 'sw.js.map' }
+  });
+  writeOutput('sw.js.map', JSON.stringify({ ...JSON.parse(result.map), file: 'sw.js' }));
+
+  const output = writeOutput('sw.js', result.code);
+  output.sources = ['sw.js'];
+  output.map = 'sw.js.map';
+  return output;
+}
+
+/**
+ * Files in theme-template/, relative to it
+ */
+function listThemeFiles(dir = '') {
+  return fs.readdirSync(path.join(themeDir, dir), { withFileTypes: true }).flatMap(entry => {
+    const file = path.posix.join(dir, entry.name);
+    return entry.isDirectory() ? listThemeFiles(file) : [file];
+  });
+}
+
+/**
+ * Dotfiles, and scripts and stylesheets index.html doesn't load
+ */
+function isDevFile(file) {
+  return file.split('/').some(part => part.startsWith('.')) || /\.(js|css|map)$/.test(file);
+}
+
+function readThemeFile(file) {
+  return fs.readFileSync(path.join(themeDir, file), 'utf8');
+}
+
+function writeOutput(file, contents) {
+  const outputPath = path.join(buildDir, file);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, contents);
+  return { file };
 }
 
-console.log('Copying theme files...');
-copyRecursive(themeDir, buildDir);
-console.log('✅ Build complete! Theme files are in the build/ directory.');
+function hash(contents) {
+  return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 8);
+}
+
+/**
+ * Sizes of the built files (source maps are listed with the file they belong to,
+ * and counted separately since browsers only load them for developer tools)
+ */
+function createReport(outputs) {
+  const files = outputs
+    .filter(output => !output.file.endsWith('.map'))
+    .map(output => {
+      const contents = fs.readFileSync(path.join(buildDir, output.file));
+      const entry = {
+        file: output.file,
+        type: getFileType(output.file),
+        bytes: contents.length,
+        gzipBytes: zlib.gzipSync(contents, { level: 9 }).length
+      };
+      if (output.sources) {
+        entry.sources = output.sources;
+        entry.sourceBytes = output.sources.reduce((sum, file) => sum + fs.statSync(path.join(themeDir, file)).size, 0);
+      }
+      if (output.map) {
+        entry.map = output.map;
+        entry.mapBytes = fs.statSync(path.join(buildDir, output.map)).size;
+      }
+      return entry;
+    })
+    .sort((a, b) => a.file.localeCompare(b.file));
+
+  return {
+    builtAt: new Date().toISOString(),
+    files,
+    totals: {
+      bytes: files.reduce((sum, entry) => sum + entry.bytes, 0),
+      gzipBytes: files.reduce((sum, entry) => sum + entry.gzipBytes, 0),
+      mapBytes: files.reduce((sum, entry) => sum + (entry.mapBytes || 0), 0)
+    }
+  };
+}
+
+function getFileType(file) {
+  const extension = path.extname(file).toLowerCase();
+  if (extension === '.js') return 'script';
+  if (extension === '.css') return 'style';
+  if (extension === '.html') return 'html';
+  if (extension === '.json') return 'json';
+  if (['.png', '.jpg', '.jpeg', '.gif', '.webp', '.avif', '.svg', '.ico'].includes(extension)) return 'image';
+  return 'other';
+}
+
+function printReport(report) {
+  const width = Math.max(...report.files.map(entry => entry.file.length), 4) + 2;
+  const column = text => text.padStart(11);
+
+  console.log('\n📊 Build report\n');
+  console.log(`  ${'File'.padEnd(width)}${column('Size')}${column('Gzipped')}${column('Source')}`);
+  report.files.forEach(entry => {
+    const source = entry.sourceBytes ? formatBytes(entry.sourceBytes) : '';
+    console.log(`  ${entry.file.padEnd(width)}${column(formatBytes(entry.bytes))}${column(formatBytes(entry.gzipBytes))}${column(source)}`);
+  });
+
+  console.log(`  ${'Total'.padEnd(width)}${column(formatBytes(report.totals.bytes))}${column(formatBytes(report.totals.gzipBytes))}`);
+  console.log(`  ${'Source maps'.padEnd(width)}${column(formatBytes(report.totals.mapBytes))}`);
+}
 
+build().catch(error => {
+  console.error(`❌ Build failed: ${error.message}`);
+  process.exit(1);
+});
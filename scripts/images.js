@@ -0,0 +1,252 @@
+/**
+ * Image Optimization
+ *
+ * The image stage of the build (see build.js), run locally with sharp:
+ * - PNG and JPEG images are made smaller without changing them. PNGs are
+ *   re-encoded at the highest compression and kept when they decode to the
+ *   same pixels; JPEGs lose comments and XMP and Photoshop metadata (EXIF,
+ *   for the orientation, and color profiles are kept).
+ * - Images also get a WebP copy, and resized copies (PNG or JPEG, and WebP)
+ *   at each breakpoint narrower than the image, e.g. assets/logo-320w.png.
+ * - The copies are listed in image-variants.json, with srcset strings:
+ *
+ *     "assets/logo.png": {
+ *       "width": 500, "height": 500,
+ *       "variants": [{ "file": "assets/logo-320w.webp", "width": 320, "height": 320, "type": "image/webp" }, ...],
+ *       "srcset": { "image/webp": "assets/logo-320w.webp 320w, assets/logo.webp 500w", "image/png": "..." }
+ *     }
+ *
+ * Set the breakpoints and which images get copies in manifest.json:
+ *
+ *   "images": {
+ *     "breakpoints": [160, 320],   // widths of the resized copies, in pixels
+ *     "webp": true,                // make WebP copies
+ *     "quality": 80,               // quality of WebP and resized JPEG copies (1-100)
+ *     "exclude": ["assets/favicon*"]  // images that get no copies (still recompressed)
+ *   }
+ */
+
+const path = require('path');
+const sharp = require('sharp');
+
+const IMAGE_PATTERN = /\.(png|jpe?g)$/i;
+const VARIANTS_FILE = 'image-variants.json';
+
+const DEFAULT_IMAGE_OPTIONS = {
+  breakpoints: [],
+  webp: true,
+  quality: 80,
+  exclude: []
+};
+
+const MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp'
+};
+
+/**
+ * Read the image options set in manifest.json, with defaults for the others
+ * @param {Object} images - The manifest's "images" (optional)
+ * @returns {Object} Options
+ */
+function parseImageOptions(images = {}) {
+  if (images === null || typeof images !== 'object' || Array.isArray(images)) {
+    throw new Error('"images" must be an object');
+  }
+
+  Object.keys(images).forEach(key => {
+    if (!(key in DEFAULT_IMAGE_OPTIONS)) {
+      throw new Error(`Unknown image option "${key}" (expected ${Object.keys(DEFAULT_IMAGE_OPTIONS).join(', ')})`);
+    }
+  });
+
+  const options = { ...DEFAULT_IMAGE_OPTIONS, ...images };
+
+  if (!Array.isArray(options.breakpoints) || !options.breakpoints.every(width => Number.isInteger(width) && width > 0)) {
+    throw new Error('"images.breakpoints" must be a list of widths in pixels');
+  }
+  if (typeof options.webp !== 'boolean') {
+    throw new Error('"images.webp" must be true or false');
+  }
+  if (!Number.isInteger(options.quality) || options.quality < 1 || options.quality > 100) {
+    throw new Error('"images.quality" must be a whole number from 1 to 100');
+  }
+  if (!Array.isArray(options.exclude) || !options.exclude.every(pattern => typeof pattern === 'string')) {
+    throw new Error('"images.exclude" must be a list of file patterns');
+  }
+
+  return { ...options, breakpoints: [...new Set(options.breakpoints)].sort((a, b) => a - b) };
+}
+
+/**
+ * Whether the image stage handles a file
+ */
+function isOptimizableImage(file) {
+  return IMAGE_PATTERN.test(file);
+}
+
+/**
+ * Optimize images and make their copies
+ * @param {Array<{file: string, contents: Buffer}>} images - PNG and JPEG images, paths relative to the theme
+ * @param {Object} options - Options from parseImageOptions()
+ * @returns {Promise<{files: Array<{file, contents, source}>, variants: Object}>} Files to write (`source` is set on
+ *   the optimized originals) and the contents of image-variants.json
+ */
+async function optimizeImages(images, options) {
+  const files = [];
+  const variants = {};
+
+  for (const { file, contents } of images) {
+    const optimized = await recompress(file, contents);
+    files.push({ file, contents: optimized, source: file });
+
+    if (matchesAny(file, options.exclude)) continue;
+
+    // Orientations 5 to 8 turn the image a quarter turn
+    const metadata = await sharp(contents).metadata();
+    const [width, height] = metadata.orientation >= 5 ? [metadata.height, metadata.width] : [metadata.width, metadata.height];
+    const copies = await createVariants(file, contents, width, options);
+    if (copies.length === 0) continue;
+
+    copies.forEach(copy => files.push({ file: copy.file, contents: copy.contents }));
+    variants[file] = {
+      width,
+      height,
+      variants: copies.map(({ file: copyFile, width: copyWidth, height: copyHeight, type }) => ({ file: copyFile, width: copyWidth, height: copyHeight, type })),
+      srcset: createSrcsets(file, width, height, copies)
+    };
+  }
+
+  return { files, variants };
+}
+
+/**
+ * Recompress an image without changing it, keeping the original when that
+ * doesn't make it smaller
+ */
+async function recompress(file, contents) {
+  let optimized;
+  if (/\.png$/i.test(file)) {
+    optimized = await recompressPng(contents);
+  } else {
+    optimized = stripJpegMetadata(contents);
+  }
+  return optimized && optimized.length < contents.length ? optimized : contents;
+}
+
+async function recompressPng(contents) {
+  const { depth } = await sharp(contents).metadata();
+  if (depth !== 'uchar') return null; // 16-bit PNGs would be re-encoded at 8 bits
+
+  const optimized = await sharp(contents)
+    .keepIccProfile()
+    .png({ compressionLevel: 9, adaptiveFiltering: true, palette: false, effort: 10 })
+    .toBuffer();
+
+  const [before, after] = await Promise.all([contents, optimized].map(image => sharp(image).ensureAlpha().raw().toBuffer()));
+  return before.equals(after) ? optimized : null;
+}
+
+/**
+ * Drop JPEG segments browsers don't use (comments, XMP and Photoshop data)
+ * The compressed image data is copied as it is.
+ */
+function stripJpegMetadata(contents) {
+  if (contents[0] !== 0xff || contents[1] !== 0xd8) return null;
+
+  const kept = [contents.subarray(0, 2)];
+  let offset = 2;
+  while (offset + 4 <= contents.length) {
+    if (contents[offset] !== 0xff) return null;
+    const marker = contents[offset + 1];
+
+    // Start of scan: the rest is image data
+    if (marker === 0xda) {
+      kept.push(contents.subarray(offset));
+      return Buffer.concat(kept);
+    }
+
+    const length = contents.readUInt16BE(offset + 2);
+    const segment = contents.subarray(offset, offset + 2 + length);
+    const isXmp = marker === 0xe1 && segment.subarray(4, 33).toString('latin1') === 'http://ns.adobe.com/xap/1.0/\0';
+    const isDropped = marker === 0xfe || marker === 0xed || marker === 0xec || isXmp;
+    if (!isDropped) kept.push(segment);
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Resized copies at the breakpoints narrower than the image, and WebP copies
+ */
+async function createVariants(file, contents, width, options) {
+  const extension = path.posix.extname(file);
+  const base = file.slice(0, -extension.length);
+  const isPng = /\.png$/i.test(file);
+  const copies = [];
+
+  const encode = async (targetWidth, format) => {
+    let image = sharp(contents).rotate();
+    if (targetWidth < width) image = image.resize({ width: targetWidth });
+    if (format === 'webp') {
+      image = image.webp({ quality: options.quality, effort: 6 });
+    } else if (isPng) {
+      image = image.png({ compressionLevel: 9, adaptiveFiltering: true, effort: 10 });
+    } else {
+      image = image.jpeg({ quality: options.quality, mozjpeg: true });
+    }
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { contents: data, width: info.width, height: info.height };
+  };
+
+  for (const breakpoint of options.breakpoints.filter(size => size < width)) {
+    const name = `${base}-${breakpoint}w`;
+    copies.push({ file: `${name}${extension}`, type: MIME_TYPES[extension.toLowerCase()], ...await encode(breakpoint, 'original') });
+    if (options.webp) {
+      copies.push({ file: `${name}.webp`, type: 'image/webp', ...await encode(breakpoint, 'webp') });
+    }
+  }
+
+  if (options.webp) {
+    copies.push({ file: `${base}.webp`, type: 'image/webp', ...await encode(width, 'webp') });
+  }
+  return copies;
+}
+
+/**
+ * srcset strings by type, the original (or its WebP copy) as the widest
+ */
+function createSrcsets(file, width, height, copies) {
+  const originalType = MIME_TYPES[path.posix.extname(file).toLowerCase()];
+  const sources = [{ file, width, height, type: originalType }, ...copies];
+  const srcset = {};
+
+  [...new Set(sources.map(source => source.type))].forEach(type => {
+    srcset[type] = sources
+      .filter(source => source.type === type)
+      .sort((a, b) => a.width - b.width)
+      .map(source => `${source.file} ${source.width}w`)
+      .join(', ');
+  });
+  return srcset;
+}
+
+/**
+ * Match a theme path against patterns where * matches any characters but /
+ */
+function matchesAny(file, patterns) {
+  return patterns.some(pattern => {
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+    return new RegExp(`^${source}$`).test(file);
+  });
+}
+
+module.exports = {
+  VARIANTS_FILE,
+  DEFAULT_IMAGE_OPTIONS,
+  parseImageOptions,
+  isOptimizableImage,
+  optimizeImages
+};
@@ -0,0 +1,95 @@
+/**
+ * Theme Manifest Schema
+ *
+ * Checks manifest.json against manifest.schema.json (JSON Schema draft-07),
+ * which lists the fields a theme manifest can have, the categories, API
+ * names and features the platform knows, and the type of every value.
+ * Editors that support JSON Schema can use the same file.
+ *
+ * Each problem is reported at its JSON pointer (RFC 6901) in the manifest:
+ *
+ *   /category: must be one of "general", "restaurant", "retail", "services" (got "shop")
+ *   /requiredApis/2: must be one of "get_public_store_settings", ... (got "get_products")
+ *   /restrictions/requiresAuth: must be boolean (got "no")
+ */
+
+const Ajv = require('ajv');
+const schema = require('./manifest.schema.json');
+
+// verbose adds the failing schema and value to each error, for the messages
+const ajv = new Ajv({ allErrors: true, verbose: true });
+const validateSchema = ajv.compile(schema);
+
+/**
+ * Check a parsed manifest against the schema
+ * @param {*} manifest - Contents of manifest.json
+ * @returns {Array<{pointer: string, message: string}>} Problems found ("" points at the whole manifest)
+ */
+function validateManifest(manifest) {
+  if (validateSchema(manifest)) return [];
+  return formatErrors(validateSchema.errors);
+}
+
+/**
+ * Turn Ajv errors into one message per problem
+ */
+function formatErrors(ajvErrors) {
+  // A value that matches none of the choices gets one message, not one per choice
+  const choices = ajvErrors.filter(error => error.keyword === 'anyOf');
+  const isChoiceBranch = error => choices.some(choice =>
+    choice !== error &&
+    choice.instancePath === error.instancePath &&
+    error.schemaPath.startsWith(`${choice.schemaPath}/`)
+  );
+
+  const problems = ajvErrors
+    .filter(error => !isChoiceBranch(error))
+    .map(error => {
+      switch (error.keyword) {
+        case 'required':
+          return { pointer: childPointer(error.instancePath, error.params.missingProperty), message: 'is required' };
+        case 'additionalProperties': {
+          const known = Object.keys(error.parentSchema.properties || {}).filter(key => key !== '$schema');
+          return {
+            pointer: childPointer(error.instancePath, error.params.additionalProperty),
+            message: `is not a known field${known.length > 0 ? ` (expected ${known.join(', ')})` : ''}`
+          };
+        }
+        case 'uniqueItems': {
+          const [first, repeat] = [error.params.i, error.params.j].sort((a, b) => a - b);
+          return { pointer: childPointer(error.instancePath, repeat), message: `repeats ${error.instancePath}/${first}${got(error.data[repeat])}` };
+        }
+        case 'enum':
+          return { pointer: error.instancePath, message: `must be one of ${error.params.allowedValues.map(value => JSON.stringify(value)).join(', ')}${got(error.data)}` };
+        case 'anyOf':
+        case 'pattern':
+          return { pointer: error.instancePath, message: `${error.parentSchema.description ? `must be ${error.parentSchema.description}` : error.message}${got(error.data)}` };
+        default:
+          return { pointer: error.instancePath, message: `${error.message}${got(error.data)}` };
+      }
+    });
+
+  // Keep the first of identical messages (the same value can fail the same way twice)
+  const seen = new Set();
+  return problems.filter(({ pointer, message }) => {
+    const key = `${pointer} ${message}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function childPointer(pointer, key) {
+  return `${pointer}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+}
+
+/**
+ * The offending value, for messages about scalar values
+ */
+function got(data) {
+  return data !== null && typeof data === 'object' ? '' : ` (got ${JSON.stringify(data)})`;
+}
+
+module.exports = {
+  validateManifest
+};
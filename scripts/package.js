@@ -1,24 +1,29 @@
 /**
  * Theme Packaging Script
  * 
- * Creates a ZIP file of the theme for submission
+ * Creates a ZIP file of the theme for submission, if the build is within
+ * the performance budgets in manifest.json (see budgets.js)
  */
 
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
+const { parseBudgets, checkBudgets, printBudgets } = require('./budgets');
 
 const manifestPath = path.join(__dirname, '..', 'theme-template', 'manifest.json');
 const buildDir = path.join(__dirname, '..', 'build');
 const outputDir = path.join(__dirname, '..', 'dist');
+const reportPath = path.join(buildDir, 'build-report.json');
 
-// Read manifest to get theme name and version
+// Read manifest to get theme name, version and performance budgets
 let themeName = 'suchify-theme';
 let version = '1.0.0';
+let budgets;
 
 if (fs.existsSync(manifestPath)) {
   try {
     const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    budgets = manifest.budgets;
     themeName = manifest.name.toLowerCase().replace(/\s+/g, '-');
     version = manifest.version || '1.0.0';
   } catch (error) {
@@ -40,7 +45,23 @@ if (!fs.existsSync(buildDir)) {
   process.exit(1);
 }
 
-console.log('📦 Packaging theme...\n');
+// Check the build against the performance budgets
+if (!fs.existsSync(reportPath)) {
+  console.error('❌ Build report not found. Run "npm run build" first.');
+  process.exit(1);
+}
+
+try {
+  const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+  if (!printBudgets(checkBudgets(report, parseBudgets(budgets)))) {
+    process.exit(1);
+  }
+} catch (error) {
+  console.error(`❌ Could not check performance budgets: ${error.message}`);
+  process.exit(1);
+}
+
+console.log('\n📦 Packaging theme...\n');
 
 const output = fs.createWriteStream(zipFilePath);
 const archive = archiver('zip', {
@@ -62,8 +83,8 @@ archive.on('error', (err) => {
 
 archive.pipe(output);
 
-// Add all files from build directory
-archive.directory(buildDir, false);
+// Add all files from build directory, except the build report
+archive.glob('**/*', { cwd: buildDir, ignore: ['build-report.json'] });
 
 archive.finalize();
 
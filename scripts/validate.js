@@ -2,10 +2,21 @@
  * Theme Validation Script
  * 
  * Validates that the theme has all required files and structure
+ *
+ * Run with --json to print one JSON report instead of the checklist (for CI):
+ *
+ *   { "valid": false, "errors": [{ "message": "...", "file": "theme-template/manifest.json", "pointer": "/category" }], "warnings": [{ "message": "..." }] }
+ *
+ * The exit code is 1 when there are errors either way.
  */
 
 const fs = require('fs');
 const path = require('path');
+const vm = require('vm');
+const ThemeSettings = require('../theme-template/scripts/theme-settings.js');
+const { parseBudgets } = require('./budgets');
+const { parseImageOptions } = require('./images');
+const { validateManifest } = require('./manifest');
 
 const REQUIRED_FILES = [
   'theme-template/index.html',
@@ -14,111 +25,435 @@ const REQUIRED_FILES = [
   'theme-template/styles/main.css'
 ];
 
+// Errors and warnings are messages, or { message, file, pointer } for problems at a place in a file
 const errors = [];
 const warnings = [];
 
-console.log('🔍 Validating theme structure...\n');
+const jsonOutput = process.argv.includes('--json');
+const log = jsonOutput ? () => {} : console.log;
+
+log('🔍 Validating theme structure...\n');
 
 // Check required files
-console.log('Checking required files...');
+log('Checking required files...');
 REQUIRED_FILES.forEach(file => {
   const filePath = path.join(__dirname, '..', file);
   if (!fs.existsSync(filePath)) {
     errors.push(`Missing required file: ${file}`);
-    console.log(`  ❌ ${file}`);
+    log(`  ❌ ${file}`);
   } else {
-    console.log(`  ✅ ${file}`);
+    log(`  ✅ ${file}`);
   }
 });
 
 // Validate manifest.json
-console.log('\nValidating manifest.json...');
+log('\nValidating manifest.json...');
 const manifestPath = path.join(__dirname, '..', 'theme-template', 'manifest.json');
 if (fs.existsSync(manifestPath)) {
   try {
     const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-    
-    const requiredFields = ['name', 'version', 'description', 'category', 'apiVersion', 'requiredApis', 'features'];
-    requiredFields.forEach(field => {
-      if (!manifest[field]) {
-        errors.push(`manifest.json missing required field: ${field}`);
-        console.log(`  ❌ Missing field: ${field}`);
-      } else {
-        console.log(`  ✅ Field present: ${field}`);
-      }
+
+    // Fields, known categories, APIs and features, and value types (scripts/manifest.schema.json)
+    const problems = validateManifest(manifest);
+    problems.forEach(({ pointer, message }) => {
+      errors.push({ message: `manifest.json${pointer ? ` ${pointer}` : ''}: ${message}`, file: 'theme-template/manifest.json', pointer });
+      log(`  ❌ ${pointer || 'manifest.json'}: ${message}`);
     });
-    
-    // Validate version format
-    if (manifest.version && !/^\d+\.\d+\.\d+/.test(manifest.version)) {
-      warnings.push('Version should follow semantic versioning (e.g., 1.0.0)');
-      console.log(`  ⚠️  Version format: ${manifest.version}`);
-    } else {
-      console.log(`  ✅ Version format: ${manifest.version}`);
+    const hasProblems = field => problems.some(({ pointer }) => pointer === '' || pointer === `/${field}` || pointer.startsWith(`/${field}/`));
+
+    if (problems.length === 0) {
+      log(`  ✅ Matches the manifest schema: ${manifest.name} ${manifest.version}, ${manifest.category}`);
+      log(`  ✅ Required APIs: ${manifest.requiredApis.length} listed`);
+      log(`  ✅ Features: ${manifest.features.length} listed`);
     }
-    
-    // Validate requiredApis
-    if (manifest.requiredApis && Array.isArray(manifest.requiredApis)) {
-      console.log(`  ✅ Required APIs: ${manifest.requiredApis.length} listed`);
+
+    // Validate performance budgets (checked against the build by build.js and package.js)
+    if (!hasProblems('budgets')) {
+      try {
+        parseBudgets(manifest.budgets);
+        log(`  ✅ Performance budgets: ${manifest.budgets ? Object.keys(manifest.budgets).length + ' set' : 'defaults'}`);
+      } catch (error) {
+        errors.push(`manifest.json budgets: ${error.message}`);
+        log(`  ❌ Performance budgets: ${error.message}`);
+      }
+    }
+
+    // Validate image options (used by the build's image stage)
+    if (!hasProblems('images')) {
+      try {
+        const { breakpoints } = parseImageOptions(manifest.images);
+        log(`  ✅ Image options: ${breakpoints.length > 0 ? `breakpoints ${breakpoints.join(', ')}` : 'no breakpoints'}`);
+      } catch (error) {
+        errors.push(`manifest.json images: ${error.message}`);
+        log(`  ❌ Image options: ${error.message}`);
+      }
+    }
+
+    if (!hasProblems('settings')) {
+      validateSettings(manifest);
     }
     
   } catch (error) {
     errors.push(`manifest.json is invalid JSON: ${error.message}`);
-    console.log(`  ❌ Invalid JSON: ${error.message}`);
+    log(`  ❌ Invalid JSON: ${error.message}`);
   }
 } else {
   errors.push('manifest.json not found');
 }
 
+/**
+ * Validate the theme settings schema and check the stylesheet uses its CSS variables
+ */
+function validateSettings(manifest) {
+  log('\nValidating theme settings...');
+
+  const configurable = manifest.configurable && typeof manifest.configurable === 'object' ? manifest.configurable : {};
+  const enabledGroups = Object.keys(configurable).filter(group => configurable[group]);
+
+  if (manifest.settings === undefined) {
+    if (enabledGroups.length > 0) {
+      warnings.push(`manifest.json marks ${enabledGroups.join(', ')} as configurable but declares no settings`);
+      log('  ⚠️  No settings schema');
+    }
+    return;
+  }
+
+  const schemaErrors = ThemeSettings.validateSchema(manifest.settings);
+  schemaErrors.forEach(error => {
+    errors.push(`manifest.json ${error}`);
+    log(`  ❌ ${error}`);
+  });
+  if (schemaErrors.length > 0) return;
+
+  const settings = ThemeSettings.fromManifest(manifest);
+  log(`  ✅ Settings schema: ${settings.getDefinitions().length} settings`);
+
+  enabledGroups
+    .filter(group => !manifest.settings[group] || Object.keys(manifest.settings[group]).length === 0)
+    .forEach(group => {
+      warnings.push(`configurable.${group} is enabled but settings.${group} declares no settings`);
+      log(`  ⚠️  No settings for configurable group: ${group}`);
+    });
+
+  Object.keys(manifest.settings)
+    .filter(group => !(group in configurable))
+    .forEach(group => {
+      warnings.push(`settings.${group} is not listed in configurable, so stores can't change it`);
+      log(`  ⚠️  Settings group not in configurable: ${group}`);
+    });
+
+  const cssPath = path.join(__dirname, '..', 'theme-template', 'styles', 'main.css');
+  const css = fs.existsSync(cssPath) ? fs.readFileSync(cssPath, 'utf8') : '';
+  settings.getDefinitions()
+    .filter(({ definition }) => definition.cssVariable && !css.includes(`var(${definition.cssVariable}`))
+    .forEach(({ group, key, definition }) => {
+      warnings.push(`settings.${group}.${key}: ${definition.cssVariable} is not used in styles/main.css`);
+      log(`  ⚠️  Unused CSS variable: ${definition.cssVariable}`);
+    });
+}
+
 // Check for initTheme function in main.js
-console.log('\nValidating main.js...');
+log('\nValidating main.js...');
 const mainJsPath = path.join(__dirname, '..', 'theme-template', 'scripts', 'main.js');
 if (fs.existsSync(mainJsPath)) {
   const mainJs = fs.readFileSync(mainJsPath, 'utf8');
   if (mainJs.includes('function initTheme')) {
-    console.log('  ✅ initTheme function found');
+    log('  ✅ initTheme function found');
   } else {
     errors.push('main.js must export an initTheme function');
-    console.log('  ❌ initTheme function not found');
+    log('  ❌ initTheme function not found');
   }
 } else {
   errors.push('main.js not found');
 }
 
+validateTranslations();
+
+/**
+ * Check every locale catalog against the default (English) catalog, and check
+ * main.js only uses keys the default catalog defines
+ */
+function validateTranslations() {
+  log('\nValidating translations...');
+
+  const localesDir = path.join(__dirname, '..', 'theme-template', 'scripts', 'locales');
+  if (!fs.existsSync(localesDir)) {
+    errors.push('Missing translation catalogs: theme-template/scripts/locales/');
+    log('  ❌ locales/ directory not found');
+    return;
+  }
+
+  // Catalog files call I18n.addCatalog(); collect what they register
+  const catalogs = {};
+  const sandbox = {
+    I18n: {
+      addCatalog(language, messages) {
+        catalogs[language] = messages;
+      }
+    }
+  };
+  fs.readdirSync(localesDir)
+    .filter(file => file.endsWith('.js'))
+    .sort()
+    .forEach(file => {
+      try {
+        vm.runInNewContext(fs.readFileSync(path.join(localesDir, file), 'utf8'), sandbox, { filename: file });
+      } catch (error) {
+        errors.push(`locales/${file} failed to load: ${error.message}`);
+        log(`  ❌ ${file}: ${error.message}`);
+      }
+    });
+
+  const defaults = catalogs.en;
+  if (!defaults) {
+    errors.push('locales/en.js must register the default "en" catalog');
+    log('  ❌ Default catalog "en" not found');
+    return;
+  }
+
+  const defaultKeys = Object.keys(defaults);
+  Object.entries(catalogs).forEach(([language, messages]) => {
+    const problems = [];
+
+    Object.entries(messages).forEach(([key, message]) => {
+      if (!(key in defaults)) {
+        warnings.push(`locales/${language}.js: unknown key "${key}"`);
+        problems.push(key);
+        return;
+      }
+      if (message && typeof message === 'object' && typeof message.other !== 'string') {
+        errors.push(`locales/${language}.js: "${key}" plural forms must include "other"`);
+        problems.push(key);
+        return;
+      }
+
+      const expected = getPlaceholders(defaults[key]);
+      const actual = getPlaceholders(message);
+      const missing = expected.filter(name => !actual.includes(name) && name !== 'count');
+      const extra = actual.filter(name => !expected.includes(name));
+      if (missing.length > 0 || extra.length > 0) {
+        warnings.push(`locales/${language}.js: "${key}" placeholders {${actual.join('}, {')}} don't match {${expected.join('}, {')}}`);
+        problems.push(key);
+      }
+    });
+
+    const missingKeys = defaultKeys.filter(key => !(key in messages));
+    missingKeys.forEach(key => errors.push(`locales/${language}.js: missing key "${key}"`));
+
+    if (missingKeys.length > 0) {
+      log(`  ❌ ${language}: ${missingKeys.length} missing key(s)`);
+    } else if (problems.length > 0) {
+      log(`  ⚠️  ${language}: ${problems.length} key(s) to review`);
+    } else {
+      log(`  ✅ ${language}: ${Object.keys(messages).length} messages`);
+    }
+  });
+
+  // Literal keys passed to t() / i18n.html() must exist in the default catalog
+  if (fs.existsSync(mainJsPath)) {
+    const mainJs = fs.readFileSync(mainJsPath, 'utf8');
+    const usedKeys = new Set();
+    for (const match of mainJs.matchAll(/\b(?:t|i18n\.html)\(\s*'([\w.]+)'/g)) {
+      usedKeys.add(match[1]);
+    }
+    const undefinedKeys = [...usedKeys].filter(key => !(key in defaults));
+    undefinedKeys.forEach(key => {
+      errors.push(`main.js uses translation key "${key}" that locales/en.js doesn't define`);
+      log(`  ❌ Undefined key in main.js: ${key}`);
+    });
+    if (undefinedKeys.length === 0) {
+      log(`  ✅ main.js: ${usedKeys.size} translation keys defined`);
+    }
+  }
+}
+
+/**
+ * List the {placeholders} in a message (all plural forms for plural messages)
+ */
+function getPlaceholders(message) {
+  const text = message && typeof message === 'object' ? Object.values(message).join(' ') : String(message);
+  return [...new Set([...text.matchAll(/\{(\w+)\}/g)].map(match => match[1]))].sort();
+}
+
+validateContentSecurityPolicy();
+
+/**
+ * Check the theme runs under a Content-Security-Policy of script-src 'self':
+ * no inline <script> blocks, inline event handlers or javascript: URLs
+ */
+function validateContentSecurityPolicy() {
+  log('\nChecking Content-Security-Policy compatibility...');
+
+  const themeDir = path.join(__dirname, '..', 'theme-template');
+  const files = ['index.html'].concat(
+    fs.readdirSync(path.join(themeDir, 'scripts'))
+      .filter(file => file.endsWith('.js'))
+      .map(file => `scripts/${file}`)
+  );
+
+  const checks = [
+    { pattern: /<script(?![^>]*\bsrc=)[^>]*>/gi, message: 'inline <script> block', htmlOnly: true },
+    { pattern: /<[a-z][^>]*\son[a-z]+\s*=\s*["'\\]/gi, message: 'inline event handler (use data-action)' },
+    { pattern: /javascript:/gi, message: 'javascript: URL' }
+  ];
+
+  let problems = 0;
+  files.forEach(file => {
+    const filePath = path.join(themeDir, file);
+    if (!fs.existsSync(filePath)) return;
+
+    const source = fs.readFileSync(filePath, 'utf8');
+    checks
+      .filter(check => !check.htmlOnly || file.endsWith('.html'))
+      .forEach(check => {
+        for (const match of source.matchAll(check.pattern)) {
+          const line = source.slice(0, match.index).split('\n').length;
+          errors.push(`${file}:${line}: ${check.message} is blocked by script-src 'self'`);
+          log(`  ❌ ${file}:${line}: ${check.message}`);
+          problems++;
+        }
+      });
+  });
+
+  if (problems === 0) {
+    log(`  ✅ No inline scripts or event handlers (${files.length} files checked)`);
+  }
+}
+
 // Check HTML structure
-console.log('\nValidating index.html...');
+log('\nValidating index.html...');
 const indexHtmlPath = path.join(__dirname, '..', 'theme-template', 'index.html');
 if (fs.existsSync(indexHtmlPath)) {
   const html = fs.readFileSync(indexHtmlPath, 'utf8');
   if (html.includes('theme-container')) {
-    console.log('  ✅ theme-container element found');
+    log('  ✅ theme-container element found');
   } else {
     warnings.push('index.html should contain an element with id="theme-container"');
-    console.log('  ⚠️  theme-container element not found');
+    log('  ⚠️  theme-container element not found');
   }
   
   if (html.includes('main.js')) {
-    console.log('  ✅ main.js script reference found');
+    log('  ✅ main.js script reference found');
   } else {
     warnings.push('index.html should reference scripts/main.js');
-    console.log('  ⚠️  main.js script reference not found');
+    log('  ⚠️  main.js script reference not found');
+  }
+  
+  if (html.includes('theme-settings.js')) {
+    log('  ✅ theme-settings.js script reference found');
+  } else {
+    warnings.push('index.html should reference scripts/theme-settings.js so theme settings are applied');
+    log('  ⚠️  theme-settings.js script reference not found');
+  }
+
+  const coreScripts = ['api-errors.js', 'actions.js', 'component.js', 'toast.js', 'dialog.js', 'keyed-list.js', 'responsive-image.js', 'store.js', 'events.js', 'infinite-scroll.js', 'offline.js'];
+  const missingScripts = coreScripts.filter(script => !html.includes(script));
+  if (missingScripts.length === 0) {
+    log(`  ✅ ${coreScripts.join(', ')} script references found`);
+  } else {
+    errors.push(`index.html must reference ${missingScripts.map(script => `scripts/${script}`).join(', ')} before main.js`);
+    log(`  ❌ ${missingScripts.join(', ')} script reference not found`);
+  }
+
+  if (html.includes('api-client.js') || html.includes('custom-api.js')) {
+    if (html.includes('api-cache.js')) {
+      log('  ✅ api-cache.js script reference found');
+    } else {
+      errors.push('index.html must reference scripts/api-cache.js before api-client.js and custom-api.js');
+      log('  ❌ api-cache.js script reference not found');
+    }
+  }
+
+  if (html.includes('api-client.js')) {
+    if (html.includes('api-transports.js')) {
+      log('  ✅ api-transports.js script reference found');
+    } else {
+      errors.push('index.html must reference scripts/api-transports.js before api-client.js');
+      log('  ❌ api-transports.js script reference not found');
+    }
+  }
+
+  if (html.includes('i18n.js')) {
+    log('  ✅ i18n.js script reference found');
+  } else {
+    warnings.push('index.html should reference scripts/i18n.js and the scripts/locales/ catalogs');
+    log('  ⚠️  i18n.js script reference not found');
+  }
+
+  validateServiceWorker(html);
+}
+
+/**
+ * Check the service worker precaches every file index.html loads, and that
+ * every precached file exists (one missing file stops the worker installing)
+ */
+function validateServiceWorker(html) {
+  log('\nValidating service worker...');
+
+  const themeDir = path.join(__dirname, '..', 'theme-template');
+  const swPath = path.join(themeDir, 'sw.js');
+  if (!fs.existsSync(swPath)) {
+    warnings.push('sw.js not found; the theme will not work offline');
+    log('  ⚠️  sw.js not found');
+    return;
+  }
+
+  const match = /const PRECACHE_URLS = (\[[\s\S]*?\]);/.exec(fs.readFileSync(swPath, 'utf8'));
+  let precached;
+  try {
+    precached = vm.runInNewContext(match[1]);
+  } catch (error) {
+    errors.push('sw.js must define PRECACHE_URLS as an array of paths');
+    log('  ❌ PRECACHE_URLS not found in sw.js');
+    return;
+  }
+
+  const loaded = [...html.replace(/<!--[\s\S]*?-->/g, '').matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"]+)"/gi)]
+    .map(([, url]) => url)
+    .filter(url => !/^(?:[a-z]+:)?\/\//i.test(url));
+  const missing = loaded.filter(url => !precached.includes(url));
+  const notFound = precached.filter(url => !url.endsWith('/') && !fs.existsSync(path.join(themeDir, url)));
+
+  missing.forEach(url => {
+    errors.push(`sw.js PRECACHE_URLS must list ${url} (loaded by index.html) so the theme works offline`);
+    log(`  ❌ ${url} is not precached`);
+  });
+  notFound.forEach(url => {
+    errors.push(`sw.js PRECACHE_URLS lists ${url}, which does not exist`);
+    log(`  ❌ ${url} does not exist`);
+  });
+
+  if (missing.length === 0 && notFound.length === 0) {
+    log(`  ✅ ${precached.length} theme files precached`);
   }
 }
 
 // Summary
-console.log('\n' + '='.repeat(50));
+const toEntry = problem => typeof problem === 'string' ? { message: problem } : problem;
+
+if (jsonOutput) {
+  console.log(JSON.stringify({
+    valid: errors.length === 0,
+    errors: errors.map(toEntry),
+    warnings: warnings.map(toEntry)
+  }, null, 2));
+  process.exit(errors.length > 0 ? 1 : 0);
+}
+
+log('\n' + '='.repeat(50));
 if (errors.length === 0 && warnings.length === 0) {
-  console.log('✅ Validation passed! Theme is ready for submission.');
+  log('✅ Validation passed! Theme is ready for submission.');
   process.exit(0);
 } else {
   if (errors.length > 0) {
-    console.log(`\n❌ Found ${errors.length} error(s):`);
-    errors.forEach(error => console.log(`   - ${error}`));
+    log(`\n❌ Found ${errors.length} error(s):`);
+    errors.forEach(error => log(`   - ${toEntry(error).message}`));
   }
   if (warnings.length > 0) {
-    console.log(`\n⚠️  Found ${warnings.length} warning(s):`);
-    warnings.forEach(warning => console.log(`   - ${warning}`));
+    log(`\n⚠️  Found ${warnings.length} warning(s):`);
+    warnings.forEach(warning => log(`   - ${toEntry(warning).message}`));
   }
-  console.log('\nPlease fix the errors before submitting your theme.');
+  log('\nPlease fix the errors before submitting your theme.');
   process.exit(errors.length > 0 ? 1 : 0);
 }
 
@@ -0,0 +1,135 @@
+/**
+ * Suchify Theme Actions
+ *
+ * A delegated event dispatcher, so rendered markup needs no inline handlers
+ * (onclick="...") and the theme runs under a Content-Security-Policy without
+ * 'unsafe-inline'. Elements name the action they trigger with data-action:
+ *
+ *   <button data-action="add-to-cart" data-product-id="42">Add to Cart</button>
+ *   <form data-action="submit:apply-promo input:promo-input">...</form>
+ *
+ * Each entry is "event:action"; a bare "action" uses the element's usual
+ * event (submit for forms, change for inputs and selects, error for images,
+ * click for everything else). Handlers are registered once:
+ *
+ *   dispatcher.on('add-to-cart', (event, element) => addToCart(element.dataset.productId));
+ *
+ * One listener per event type on the root handles every element rendered
+ * inside it, however often the markup is replaced.
+ */
+
+const DELEGATED_EVENTS = ['click', 'submit', 'change', 'input', 'focusout'];
+
+// Load and error events don't bubble, so they're caught while capturing
+const CAPTURED_EVENTS = ['load', 'error'];
+
+class ActionDispatcher {
+  /**
+   * @param {Document|HTMLElement} root - Element whose descendants are handled (defaults to the document)
+   */
+  constructor(root = document) {
+    this.root = root;
+    this.handlers = {};
+    this.started = false;
+    this.handleEvent = this.handleEvent.bind(this);
+  }
+
+  /**
+   * Register the handler for an action
+   * @param {string} action - Action name used in data-action (e.g., "add-to-cart")
+   * @param {Function} handler - Called with the event and the element that declared the action
+   * @returns {ActionDispatcher} The dispatcher, for chaining
+   */
+  on(action, handler) {
+    this.handlers[action] = handler;
+    return this;
+  }
+
+  /**
+   * Start handling events
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    DELEGATED_EVENTS.forEach(type => this.root.addEventListener(type, this.handleEvent));
+    CAPTURED_EVENTS.forEach(type => this.root.addEventListener(type, this.handleEvent, true));
+  }
+
+  /**
+   * Stop handling events
+   */
+  stop() {
+    if (!this.started) return;
+    this.started = false;
+
+    DELEGATED_EVENTS.forEach(type => this.root.removeEventListener(type, this.handleEvent));
+    CAPTURED_EVENTS.forEach(type => this.root.removeEventListener(type, this.handleEvent, true));
+  }
+
+  /**
+   * Run the action declared by the nearest element (from the event target up)
+   * that has one for this event type
+   */
+  handleEvent(event) {
+    let element = event.target;
+
+    while (element && element !== this.root && element.nodeType === 1) {
+      const action = ActionDispatcher.getAction(element, event.type);
+      if (action) {
+        const handler = this.handlers[action];
+        if (handler) {
+          handler(event, element);
+        } else {
+          console.warn(`No handler registered for action "${action}"`);
+        }
+        return;
+      }
+      element = element.parentElement;
+    }
+  }
+
+  /**
+   * Get the action an element declares for an event type
+   * @param {HTMLElement} element - Element with a data-action attribute
+   * @param {string} type - Event type (e.g., "click")
+   * @returns {string|null} Action name
+   */
+  static getAction(element, type) {
+    const declaration = element.getAttribute('data-action');
+    if (!declaration) return null;
+
+    for (const entry of declaration.trim().split(/\s+/)) {
+      const separator = entry.indexOf(':');
+      const eventType = separator === -1 ? ActionDispatcher.defaultEvent(element) : entry.slice(0, separator);
+      if (eventType === type) {
+        return separator === -1 ? entry : entry.slice(separator + 1);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * The event a bare data-action responds to
+   */
+  static defaultEvent(element) {
+    switch (element.tagName) {
+      case 'FORM':
+        return 'submit';
+      case 'INPUT':
+      case 'SELECT':
+      case 'TEXTAREA':
+        return 'change';
+      case 'IMG':
+        return 'error';
+      default:
+        return 'click';
+    }
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionDispatcher;
+}
@@ -0,0 +1,188 @@
+/**
+ * Suchify API Cache
+ *
+ * Caches GET responses by URL for StoreAPIClient and custom-api.js. Each
+ * response belongs to a group ("products", "categories", ...) with its own
+ * time to live:
+ *
+ *   const cache = new ApiCache({ ttl: { products: 60000 } });
+ *   const products = await cache.get(url, 'products', signal => fetchJSON(url, signal));
+ *   cache.invalidate('products'); // after a change on the server
+ *
+ * - A response younger than its group's TTL is returned without a request.
+ * - An older one is still returned for `staleWhileRevalidate` ms, while a
+ *   request in the background refreshes it for next time.
+ * - Callers asking for the same URL at the same time share one request. It
+ *   is aborted only when every caller waiting for it has aborted.
+ * Groups with a TTL of 0 are never cached, but requests are still shared.
+ */
+
+class ApiCache {
+  /**
+   * Default time to live per group, in milliseconds
+   */
+  static get DEFAULT_TTL() {
+    return {
+      store: 5 * 60 * 1000,
+      categories: 5 * 60 * 1000,
+      promotions: 60 * 1000,
+      products: 60 * 1000,
+      orders: 0 // Order status is polled, always ask the server
+    };
+  }
+
+  /**
+   * @param {Object|false} options - Cache options, or false to turn caching off
+   * @param {Object<string, number>} options.ttl - Time to live per group (merged with DEFAULT_TTL)
+   * @param {number} options.staleWhileRevalidate - How long an expired response may still be used while it is refreshed (defaults to 5 minutes)
+   */
+  constructor(options = {}) {
+    this.entries = new Map();
+    this.pending = new Map();
+    this.versions = {};
+    this.configure(options);
+  }
+
+  /**
+   * Change the cache options; cached responses are kept
+   * @param {Object|false} options - Same as the constructor's
+   */
+  configure(options = {}) {
+    this.enabled = options !== false;
+    const { ttl = {}, staleWhileRevalidate = 5 * 60 * 1000 } = options || {};
+    this.ttl = { ...ApiCache.DEFAULT_TTL, ...ttl };
+    this.staleWhileRevalidate = staleWhileRevalidate;
+  }
+
+  /**
+   * Get a response from the cache, or load it
+   * @param {string} key - Cache key (usually the request URL)
+   * @param {string} group - Group the response belongs to (sets its TTL)
+   * @param {Function} load - Called with an AbortSignal; returns a promise for the response
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Optional signal to stop waiting for the response
+   * @returns {Promise<*>} Response data
+   */
+  get(key, group, load, { signal } = {}) {
+    const ttl = this.getTTL(group);
+    const entry = this.entries.get(key);
+
+    if (entry && ttl > 0) {
+      const age = Date.now() - entry.storedAt;
+      if (age < ttl) return Promise.resolve(entry.data);
+
+      if (age < ttl + this.staleWhileRevalidate) {
+        const request = this.request(key, group, load);
+        request.waiters += 1;
+        request.promise.catch(error => console.warn(`Could not refresh cached ${group}:`, error));
+        return Promise.resolve(entry.data);
+      }
+    }
+
+    return this.wait(this.request(key, group, load), signal);
+  }
+
+  /**
+   * Drop cached responses and forget pending requests, so the next call asks the server
+   * @param {...string} groups - Groups to drop (all groups when none are given)
+   */
+  invalidate(...groups) {
+    const matches = group => groups.length === 0 || groups.includes(group);
+
+    this.entries.forEach((entry, key) => {
+      if (matches(entry.group)) this.entries.delete(key);
+    });
+    this.pending.forEach((request, key) => {
+      if (matches(request.group)) this.pending.delete(key);
+    });
+
+    // Responses to requests sent before now may be out of date; don't cache them
+    (groups.length > 0 ? groups : Object.keys(this.versions)).forEach(group => {
+      this.versions[group] = (this.versions[group] || 0) + 1;
+    });
+  }
+
+  /**
+   * Drop every cached response
+   */
+  clear() {
+    this.invalidate();
+  }
+
+  getTTL(group) {
+    return this.enabled ? this.ttl[group] || 0 : 0;
+  }
+
+  /**
+   * Start a request for a key, or return the one already pending
+   */
+  request(key, group, load) {
+    const pending = this.pending.get(key);
+    if (pending) return pending;
+
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const version = this.versions[group] || 0;
+    const request = { key, group, controller, waiters: 0 };
+    const done = () => {
+      if (this.pending.get(key) === request) this.pending.delete(key);
+    };
+
+    request.promise = Promise.resolve()
+      .then(() => load(controller?.signal))
+      .then(data => {
+        done();
+        if (this.getTTL(group) > 0 && (this.versions[group] || 0) === version) {
+          this.entries.set(key, { group, data, storedAt: Date.now() });
+        }
+        return data;
+      }, error => {
+        done();
+        throw error;
+      });
+
+    // Failures are reported to the callers; don't report them again when every caller aborted
+    request.promise.catch(() => {});
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  /**
+   * Wait for a shared request, or stop waiting when the caller's signal aborts
+   */
+  wait(request, signal) {
+    request.waiters += 1;
+    if (!signal) return request.promise;
+
+    if (signal.aborted) {
+      this.release(request);
+      return Promise.reject(new DOMException('The request was aborted', 'AbortError'));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.release(request);
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * A caller stopped waiting; abort the request when nobody else waits for it
+   */
+  release(request) {
+    request.waiters -= 1;
+    if (request.waiters > 0) return;
+
+    if (this.pending.get(request.key) === request) this.pending.delete(request.key);
+    if (request.controller) request.controller.abort();
+  }
+}
+
+// Export for use in api-client.js and custom-api.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ApiCache;
+}
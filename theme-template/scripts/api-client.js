@@ -5,12 +5,184 @@
  * You can use this to add custom error handling, caching, or transformations.
  * 
  * In production, the API client is automatically injected as window.__STORE_API__
- * For local development, use the mock API client from test/index.html
+ * For local development, test/index.html runs this client against its mock API
+ *
+ *   const api = new StoreAPIClient({ baseUrl: 'https://api.example.com', storeSlug: 'my-store' });
+ *
+ * Requests are delivered by a transport (see scripts/api-transports.js):
+ * fetch by default, or recorded fixtures or an in-page mock for offline testing.
+ *
+ * GET responses are cached (see scripts/api-cache.js). Cart changes and
+ * checkout drop the cached data they can make out of date.
+ *
+ * Failed requests throw the errors in scripts/api-errors.js. Requests that
+ * take longer than `timeout` are aborted, and requests that are safe to send
+ * twice (GET, PUT, DELETE) are retried with exponential backoff after network
+ * errors, timeouts and server errors. Orders and cart additions (POST) are
+ * never retried, so they can't be placed twice.
  */
 
+// Methods that give the same result when sent more than once
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
 class StoreAPIClient {
-  constructor(baseUrl = '') {
-    this.baseUrl = baseUrl;
+  /**
+   * @param {Object} options - Options (a base URL string is accepted too, with the options as the second argument)
+   * @param {string} options.baseUrl - API base URL for the default fetch transport
+   * @param {string} options.storeSlug - Store slug used in request paths (initTheme sets it when it's missing)
+   * @param {Object} options.transport - Transport that sends requests (defaults to a FetchTransport for baseUrl)
+   * @param {Object|false} options.cache - Cache options (see ApiCache), or false to turn caching off
+   * @param {number} options.timeout - Milliseconds before a request is aborted (defaults to 15000)
+   * @param {Object} options.retry - Retry options
+   * @param {number} options.retry.attempts - Attempts per request, including the first (defaults to 3)
+   * @param {number} options.retry.baseDelay - Delay before the first retry in milliseconds, doubled for each one after (defaults to 500)
+   * @param {number} options.retry.maxDelay - Longest delay between attempts (defaults to 5000)
+   */
+  constructor(options = {}, legacyOptions = {}) {
+    const {
+      baseUrl = '',
+      storeSlug = null,
+      transport = null,
+      cache = {},
+      timeout = 15000,
+      retry = {}
+    } = typeof options === 'string' ? { ...legacyOptions, baseUrl: options } : options;
+
+    this.storeSlug = storeSlug;
+    this.transport = transport || new FetchTransport({ baseUrl });
+    this.cache = new ApiCache(cache);
+    this.timeout = timeout;
+    this.retry = { attempts: 3, baseDelay: 500, maxDelay: 5000, ...retry };
+  }
+
+  /**
+   * Change the cache options (initTheme passes its `cache` parameter here)
+   * @param {Object|false} options - Cache options (see ApiCache), or false to turn caching off
+   */
+  configureCache(options) {
+    this.cache.configure(options);
+  }
+
+  /**
+   * Build the API path for one of the store's endpoints
+   * @param {string} path - Endpoint path (e.g., "/products?category=Pizza")
+   * @returns {string} Path including /api/store/<slug>
+   */
+  storePath(path) {
+    if (!this.storeSlug) {
+      throw new Error('StoreAPIClient has no storeSlug; pass one to the constructor or initTheme');
+    }
+    return `/api/store/${encodeURIComponent(this.storeSlug)}${path}`;
+  }
+
+  /**
+   * GET a path through the cache
+   * @param {string} group - Cache group (sets how long the response is kept)
+   * @param {string} path - API path to fetch
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @returns {Promise<*>} Response data
+   */
+  cachedGet(group, path, options = {}) {
+    return this.cache.get(path, group, signal => this.request('GET', path, { signal }), options);
+  }
+
+  /**
+   * Send a request, retrying idempotent ones after temporary failures
+   * @param {string} method - HTTP method
+   * @param {string} path - API path, with its query string
+   * @param {Object} options - Request options
+   * @param {Object} options.body - Optional JSON body
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @returns {Promise<*>} Response data
+   * @throws {ApiError} NetworkError, TimeoutError, ValidationError, OutOfStockError, NotFoundError or ApiError
+   */
+  async request(method, path, { body, signal } = {}) {
+    const attempts = IDEMPOTENT_METHODS.includes(method) ? Math.max(1, this.retry.attempts) : 1;
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await this.send(method, path, { body, signal });
+      } catch (error) {
+        if (attempt >= attempts || !error.retryable || signal?.aborted) throw error;
+        await this.wait(this.getRetryDelay(attempt, error), signal);
+      }
+    }
+  }
+
+  /**
+   * Send a request once through the transport, aborting it after the timeout
+   */
+  async send(method, path, { body, signal } = {}) {
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      controller.abort();
+    }, this.timeout);
+    const cancel = () => controller.abort();
+
+    if (signal?.aborted) controller.abort();
+    signal?.addEventListener('abort', cancel);
+
+    // Stop waiting on abort even if the transport ignores the signal
+    const aborted = new Promise((resolve, reject) => {
+      controller.signal.addEventListener('abort', () => {
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      }, { once: true });
+    });
+
+    try {
+      const response = await Promise.race([
+        this.transport.send({ method, path, body, signal: controller.signal }),
+        aborted
+      ]);
+
+      if (response.status >= 400) {
+        throw ApiError.fromResponse(response.status, response.body, response.statusText, response.headers?.['retry-after']);
+      }
+
+      return response.body;
+    } catch (error) {
+      if (error instanceof ApiError) throw error;
+      if (timedOut) throw new TimeoutError(`Request timed out after ${this.timeout} ms`, { cause: error });
+      // Cancelled by the caller
+      if (error.name === 'AbortError') throw error;
+      throw new NetworkError(error.message, { cause: error });
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Delay before a retry: exponential backoff with jitter, or the server's Retry-After
+   */
+  getRetryDelay(attempt, error) {
+    if (error.retryAfter !== null && error.retryAfter !== undefined) {
+      return Math.min(error.retryAfter, this.retry.maxDelay);
+    }
+
+    const backoff = Math.min(this.retry.baseDelay * 2 ** (attempt - 1), this.retry.maxDelay);
+    // Spread retries from many shoppers out after an outage
+    return backoff / 2 + Math.random() * backoff / 2;
+  }
+
+  /**
+   * Wait before retrying; rejects with an AbortError when the request is cancelled
+   */
+  wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(new DOMException('The request was aborted', 'AbortError'));
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
   }
 
   /**
@@ -19,9 +191,7 @@ class StoreAPIClient {
    */
   async getStore() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/settings`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
+      return await this.cachedGet('store', this.storePath('/settings'));
     } catch (error) {
       console.error('Error fetching store:', error);
       throw error;
@@ -30,26 +200,45 @@ class StoreAPIClient {
 
   /**
    * Get products with optional filters
+   * Without `limit` every matching product is returned. With `limit` one page
+   * is returned; pass the page's `next_cursor` as `cursor` (or the next `page`
+   * number) to get the following one.
    * @param {Object} filters - Filter options
-   * @returns {Promise<Array>} Array of products
+   * @param {string} filters.sort - Optional sort order ("price_asc", "price_desc" or "name_asc")
+   * @param {number} filters.limit - Optional page size
+   * @param {number} filters.page - Optional page number, starting at 1
+   * @param {string} filters.cursor - Optional cursor from the previous page (takes precedence over page)
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Optional signal to cancel the request
+   * @returns {Promise<Array|Object>} Array of products, or with `limit` a page:
+   *   { products, total, page, limit, next_cursor } (next_cursor is null on the last page)
    */
-  async getProducts(filters = {}) {
+  async getProducts(filters = {}, options = {}) {
     try {
       const params = new URLSearchParams();
       if (filters.category) params.append('category', filters.category);
       if (filters.search) params.append('search', filters.search);
-      if (filters.min_price) params.append('min_price', filters.min_price);
-      if (filters.max_price) params.append('max_price', filters.max_price);
+      // 0 is a price; only leave out prices that weren't given
+      if (filters.min_price !== undefined && filters.min_price !== '') params.append('min_price', filters.min_price);
+      if (filters.max_price !== undefined && filters.max_price !== '') params.append('max_price', filters.max_price);
       if (filters.in_stock !== undefined) params.append('in_stock', filters.in_stock);
+      if (filters.sort) params.append('sort', filters.sort);
+      if (filters.limit) params.append('limit', filters.limit);
+      if (filters.cursor) {
+        params.append('cursor', filters.cursor);
+      } else if (filters.page) {
+        params.append('page', filters.page);
+      }
 
       const queryString = params.toString();
-      const url = `${this.baseUrl}/api/store/${this.storeSlug}/products${queryString ? '?' + queryString : ''}`;
+      const url = this.storePath(`/products${queryString ? '?' + queryString : ''}`);
       
-      const response = await fetch(url);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
+      return await this.cachedGet('products', url, { signal: options.signal });
     } catch (error) {
-      console.error('Error fetching products:', error);
+      // Cancelled requests are expected when a newer search replaces them
+      if (error.name !== 'AbortError') {
+        console.error('Error fetching products:', error);
+      }
       throw error;
     }
   }
@@ -60,9 +249,7 @@ class StoreAPIClient {
    */
   async getCategories() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/categories`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
+      return await this.cachedGet('categories', this.storePath('/categories'));
     } catch (error) {
       console.error('Error fetching categories:', error);
       throw error;
@@ -75,15 +262,27 @@ class StoreAPIClient {
    */
   async getPromotions() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/promotions`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
+      return await this.cachedGet('promotions', this.storePath('/promotions'));
     } catch (error) {
       console.error('Error fetching promotions:', error);
       throw error;
     }
   }
 
+  /**
+   * Get the cart
+   * Not cached: other tabs change it too.
+   * @returns {Promise<Object>} Cart
+   */
+  async getCart() {
+    try {
+      return await this.request('GET', this.storePath('/cart'));
+    } catch (error) {
+      console.error('Error fetching cart:', error);
+      throw error;
+    }
+  }
+
   /**
    * Add product to cart
    * @param {string} productId - Product UUID
@@ -93,27 +292,83 @@ class StoreAPIClient {
    */
   async addToCart(productId, quantity = 1, variants = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/cart`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
+      return await this.request('POST', this.storePath('/cart'), {
+        body: {
           product_id: productId,
           quantity: quantity,
           variants: variants
-        })
+        }
       });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      return await response.json();
     } catch (error) {
       console.error('Error adding to cart:', error);
       throw error;
+    } finally {
+      this.invalidateAfterCartChange();
+    }
+  }
+
+  /**
+   * Set the quantity of a cart line
+   * @param {string} productId - Product UUID
+   * @param {number} quantity - New quantity (0 removes the line)
+   * @param {Object} variants - Variants identifying the cart line
+   * @returns {Promise<Object>} Updated cart
+   */
+  async updateCartItem(productId, quantity, variants = {}) {
+    if (quantity <= 0) {
+      return this.removeFromCart(productId, variants);
+    }
+
+    try {
+      return await this.request('PUT', this.storePath('/cart/items'), {
+        body: {
+          product_id: productId,
+          quantity: quantity,
+          variants: variants
+        }
+      });
+    } catch (error) {
+      console.error('Error updating cart item:', error);
+      throw error;
+    } finally {
+      this.invalidateAfterCartChange();
+    }
+  }
+
+  /**
+   * Remove a line from the cart
+   * @param {string} productId - Product UUID
+   * @param {Object} variants - Variants identifying the cart line
+   * @returns {Promise<Object>} Updated cart
+   */
+  async removeFromCart(productId, variants = {}) {
+    try {
+      return await this.request('DELETE', this.storePath('/cart/items'), {
+        body: {
+          product_id: productId,
+          variants: variants
+        }
+      });
+    } catch (error) {
+      console.error('Error removing from cart:', error);
+      throw error;
+    } finally {
+      this.invalidateAfterCartChange();
+    }
+  }
+
+  /**
+   * Remove all items from the cart
+   * @returns {Promise<Object>} Updated (empty) cart
+   */
+  async clearCart() {
+    try {
+      return await this.request('DELETE', this.storePath('/cart'));
+    } catch (error) {
+      console.error('Error clearing cart:', error);
+      throw error;
+    } finally {
+      this.invalidateAfterCartChange();
     }
   }
 
@@ -124,26 +379,26 @@ class StoreAPIClient {
    */
   async checkout(orderData) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/checkout`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(orderData)
-      });
-      
-      if (!response.ok) {
-        const error = await response.json();
-        throw new Error(error.error || `HTTP ${response.status}: ${response.statusText}`);
-      }
-      
-      return await response.json();
+      // The error keeps the server's code and details so field errors can be shown on the form
+      return await this.request('POST', this.storePath('/checkout'), { body: orderData });
     } catch (error) {
       console.error('Error during checkout:', error);
       throw error;
+    } finally {
+      // Placing an order changes stock and can use up a promotion code
+      this.cache.invalidate('products', 'promotions', 'orders');
     }
   }
 
+  /**
+   * Drop cached products after a cart change
+   * A rejected change (e.g., out of stock) means the cached stock is out of date,
+   * and stores that reserve stock for carts change it on every change.
+   */
+  invalidateAfterCartChange() {
+    this.cache.invalidate('products');
+  }
+
   /**
    * Get order status
    * @param {string} orderNumber - Order number (e.g., "ORD-2024-001")
@@ -151,9 +406,7 @@ class StoreAPIClient {
    */
   async getOrderStatus(orderNumber) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/store/${this.storeSlug}/order/${orderNumber}`);
-      if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-      return await response.json();
+      return await this.cachedGet('orders', this.storePath(`/order/${encodeURIComponent(orderNumber)}`));
     } catch (error) {
       console.error('Error fetching order status:', error);
       throw error;
@@ -0,0 +1,121 @@
+/**
+ * Suchify API Errors
+ *
+ * Errors thrown by StoreAPIClient and custom-api.js, so the theme can tell
+ * what went wrong and show the shopper a message that fits:
+ *
+ *   try {
+ *     await api.addToCart(productId, 1);
+ *   } catch (error) {
+ *     if (error instanceof OutOfStockError) { ... }
+ *   }
+ *
+ * - NetworkError: the request didn't reach the server (offline, DNS, CORS)
+ * - TimeoutError: the server didn't answer in time
+ * - ValidationError: the server rejected the request's data (400, 422)
+ * - OutOfStockError: not enough stock for the request (409, or code OUT_OF_STOCK / INSUFFICIENT_STOCK)
+ * - NotFoundError: the product, order or store doesn't exist (404)
+ * - ApiError: any other error response; the base class of all of the above
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {string} message - Error message (from the server when it sent one)
+   * @param {Object} options - Error details
+   * @param {number} options.status - HTTP status, if the server answered
+   * @param {string} options.code - Error code from the server (e.g., "MINIMUM_ORDER_NOT_MET")
+   * @param {Object} options.details - Error details from the server (e.g., { fields: { email: "..." } })
+   * @param {number} options.retryAfter - Milliseconds the server asked to wait before retrying
+   * @param {Error} options.cause - Underlying error
+   */
+  constructor(message, { status = null, code = null, details = null, retryAfter = null, cause } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+    this.retryAfter = retryAfter;
+    if (cause) this.cause = cause;
+  }
+
+  /**
+   * Whether sending the same request again may succeed (server errors and rate limits)
+   */
+  get retryable() {
+    return this.status === 429 || this.status >= 500;
+  }
+
+  /**
+   * Create the error for an error response
+   * @param {number} status - HTTP status
+   * @param {Object|null} body - Parsed response body ({ error, code, details }), if any
+   * @param {string} statusText - HTTP status text
+   * @param {string|null} retryAfterHeader - Retry-After header, if any
+   * @returns {ApiError} Error of the matching class
+   */
+  static fromResponse(status, body, statusText = '', retryAfterHeader = null) {
+    const message = body?.error || body?.message || `HTTP ${status}: ${statusText}`;
+    const retryAfterSeconds = Number(retryAfterHeader);
+    const options = {
+      status,
+      code: body?.code || null,
+      details: body?.details || null,
+      retryAfter: retryAfterHeader && Number.isFinite(retryAfterSeconds) ? retryAfterSeconds * 1000 : null
+    };
+
+    if (status === 404) return new NotFoundError(message, options);
+    if (status === 409 || ['OUT_OF_STOCK', 'INSUFFICIENT_STOCK'].includes(options.code)) {
+      return new OutOfStockError(message, options);
+    }
+    if (status === 400 || status === 422) return new ValidationError(message, options);
+    return new ApiError(message, options);
+  }
+}
+
+class NetworkError extends ApiError {
+  constructor(message = 'Network request failed', options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class TimeoutError extends ApiError {
+  constructor(message = 'Request timed out', options = {}) {
+    super(message, options);
+    this.name = 'TimeoutError';
+  }
+
+  get retryable() {
+    return true;
+  }
+}
+
+class ValidationError extends ApiError {
+  constructor(message = 'Invalid request', options = {}) {
+    super(message, { status: 400, ...options });
+    this.name = 'ValidationError';
+  }
+}
+
+class OutOfStockError extends ApiError {
+  constructor(message = 'Out of stock', options = {}) {
+    super(message, { status: 409, ...options });
+    this.name = 'OutOfStockError';
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, ...options });
+    this.name = 'NotFoundError';
+  }
+}
+
+// Export for use in api-client.js, custom-api.js and main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ApiError, NetworkError, TimeoutError, ValidationError, OutOfStockError, NotFoundError };
+}
@@ -0,0 +1,194 @@
+/**
+ * Suchify API Transports
+ *
+ * StoreAPIClient builds requests and handles caching, timeouts, retries and
+ * errors; a transport only delivers a request and returns the response. Swap
+ * the transport to run the same theme code against the live API, recorded
+ * responses, or the in-page mock:
+ *
+ *   new StoreAPIClient({ storeSlug: 'my-store' });                                   // fetch
+ *   new StoreAPIClient({ storeSlug: 'my-store', transport: new FixtureTransport(fixtures) });
+ *   new StoreAPIClient({ storeSlug: 'my-store', transport: new MockTransport(mockAPI) });
+ *
+ * A transport has one method, `send({ method, path, body, signal })`, where
+ * `path` is the API path with its query string (e.g.
+ * "/api/store/my-store/products?category=Pizza"). It resolves with
+ * `{ status, statusText, headers, body }` (`headers` with lower-case names,
+ * `body` parsed from JSON), or rejects when the request can't be delivered.
+ */
+
+/**
+ * Sends requests with fetch
+ */
+class FetchTransport {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.baseUrl - URL the API paths are relative to (defaults to the page's origin)
+   * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+   */
+  constructor({ baseUrl = '', fetch: fetchImpl = null } = {}) {
+    this.baseUrl = baseUrl;
+    this.fetchImpl = fetchImpl;
+  }
+
+  async send({ method, path, body, signal }) {
+    const fetchImpl = this.fetchImpl || fetch;
+    const response = await fetchImpl(`${this.baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+      signal
+    });
+
+    const headers = {};
+    response.headers?.forEach?.((value, name) => {
+      headers[name.toLowerCase()] = value;
+    });
+
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+      // Error responses may not be JSON
+      body: response.ok ? await response.json() : await response.json().catch(() => null)
+    };
+  }
+}
+
+/**
+ * Answers requests from recorded responses, keyed by "METHOD path":
+ *
+ *   new FixtureTransport({
+ *     'GET /api/store/my-store/settings': { status: 200, body: { name: 'My Store' } },
+ *     'GET /api/store/my-store/order/ORD-1': { status: 404, body: { error: 'Order not found' } }
+ *   });
+ *
+ * Requests without a fixture get a 404. Record fixtures from another
+ * transport with RecordingTransport.
+ */
+class FixtureTransport {
+  /**
+   * @param {Object<string, Object>} fixtures - Responses ({ status, headers, body }) by "METHOD path"
+   * @param {Object} options - Options
+   * @param {number} options.latency - Milliseconds to wait before answering (defaults to 0)
+   */
+  constructor(fixtures = {}, { latency = 0 } = {}) {
+    this.fixtures = fixtures;
+    this.latency = latency;
+  }
+
+  async send({ method, path, signal }) {
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency));
+    }
+    if (signal?.aborted) throw new DOMException('The request was aborted', 'AbortError');
+
+    const key = `${method} ${path}`;
+    const fixture = this.fixtures[key];
+    if (!fixture) {
+      return { status: 404, statusText: 'Not Found', headers: {}, body: { error: `No fixture for ${key}` } };
+    }
+
+    return {
+      status: fixture.status || 200,
+      statusText: fixture.statusText || '',
+      headers: fixture.headers || {},
+      // Copy the body so changes to a response don't change the fixture
+      body: fixture.body === undefined ? null : JSON.parse(JSON.stringify(fixture.body))
+    };
+  }
+}
+
+/**
+ * Passes requests to another transport and records the responses as fixtures
+ * for FixtureTransport (save `JSON.stringify(recorder.fixtures)` to a file)
+ */
+class RecordingTransport {
+  /**
+   * @param {Object} transport - Transport to record
+   */
+  constructor(transport) {
+    this.transport = transport;
+    this.fixtures = {};
+  }
+
+  async send(request) {
+    const response = await this.transport.send(request);
+    this.fixtures[`${request.method} ${request.path}`] = {
+      status: response.status,
+      headers: response.headers,
+      body: response.body
+    };
+    return response;
+  }
+}
+
+/**
+ * Answers requests by calling an in-page mock API, such as the one in
+ * test/index.html. The mock has StoreAPIClient's methods (getStore,
+ * getProducts, addToCart, ...) and throws the errors in api-errors.js, which
+ * are turned back into error responses.
+ */
+class MockTransport {
+  /**
+   * @param {Object} mockAPI - Object with StoreAPIClient's methods
+   */
+  constructor(mockAPI) {
+    this.mockAPI = mockAPI;
+  }
+
+  async send({ method, path, body = {}, signal }) {
+    const url = new URL(path, 'http://mock');
+    // The path after /api/store/<slug>/, e.g. "cart/items" or "order/ORD-2024-001"
+    const segments = url.pathname.split('/').slice(4).map(decodeURIComponent);
+
+    try {
+      const data = await this.call(`${method} ${segments.join('/')}`, segments[1], url.searchParams, body, signal);
+      return { status: 200, statusText: 'OK', headers: {}, body: data };
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      return {
+        status: error.status || 500,
+        statusText: '',
+        headers: {},
+        body: { error: error.message, code: error.code || undefined, details: error.details || undefined }
+      };
+    }
+  }
+
+  call(route, id, params, body, signal) {
+    const api = this.mockAPI;
+
+    if (route === 'GET settings') return api.getStore();
+    if (route === 'GET products') return api.getProducts(MockTransport.getProductFilters(params), { signal });
+    if (route === 'GET categories') return api.getCategories();
+    if (route === 'GET promotions') return api.getPromotions();
+    if (route === 'GET cart') return api.getCart();
+    if (route === 'POST cart') return api.addToCart(body.product_id, body.quantity, body.variants);
+    if (route === 'PUT cart/items') return api.updateCartItem(body.product_id, body.quantity, body.variants);
+    if (route === 'DELETE cart/items') return api.removeFromCart(body.product_id, body.variants);
+    if (route === 'DELETE cart') return api.clearCart();
+    if (route === 'POST checkout') return api.checkout(body);
+    if (route.startsWith('GET order/')) return api.getOrderStatus(id);
+
+    throw new NotFoundError(`The mock API has no route for ${route}`);
+  }
+
+  /**
+   * Turn the products query string back into getProducts filters
+   */
+  static getProductFilters(params) {
+    const filters = Object.fromEntries(params.entries());
+    if (filters.in_stock !== undefined) filters.in_stock = filters.in_stock === 'true';
+    ['limit', 'page'].forEach(name => {
+      if (filters[name] !== undefined) filters[name] = Number(filters[name]);
+    });
+    return filters;
+  }
+}
+
+// Export for use in api-client.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FetchTransport, FixtureTransport, RecordingTransport, MockTransport };
+}
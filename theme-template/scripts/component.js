@@ -0,0 +1,132 @@
+/**
+ * Suchify Theme Components
+ *
+ * A component renders markup into one element and gets lifecycle hooks, so
+ * the work a view starts (timers, pending requests) ends when it's replaced:
+ *
+ *   const page = new Component({
+ *     render: ({ order }) => renderOrder(order),
+ *     unmount: () => stopOrderPolling()
+ *   });
+ *   page.mount(document.querySelector('main'), { order });
+ *   page.update({ order: latest }); // re-render with new props
+ *   page.unmount();                 // runs the unmount hook, then clears the element
+ *
+ * Components hold no event listeners of their own; markup declares its
+ * actions with data-action and the ActionDispatcher handles them.
+ *
+ * Render functions escape text with escapeHtml(), defined here so every
+ * script that builds markup (dialogs, images, translations, main.js) shares it.
+ */
+
+/**
+ * Escape HTML to prevent XSS
+ * Quotes are escaped too, so the result is safe in attribute values.
+ */
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+class Component {
+  /**
+   * @param {Object} options - Component definition
+   * @param {Function} options.render - Returns the component's HTML for its props
+   * @param {Function} options.mount - Optional hook called after the first render
+   * @param {Function} options.update - Optional hook called after each re-render
+   * @param {Function} options.unmount - Optional hook called before the component is removed
+   */
+  constructor({ render, mount, update, unmount } = {}) {
+    this.renderFn = render || (() => '');
+    this.hooks = { mount, update, unmount };
+    this.props = {};
+    this.el = null;
+    this.ownsElement = false;
+  }
+
+  /**
+   * Render into an element, replacing its contents
+   * @param {HTMLElement} el - Element to render into
+   * @param {Object} props - Props passed to render and the hooks
+   * @returns {Component} The component
+   */
+  mount(el, props = {}) {
+    if (this.el) this.unmount();
+
+    this.el = el;
+    this.props = { ...props };
+    this.el.innerHTML = this.renderFn(this.props);
+    this.runHook('mount');
+    return this;
+  }
+
+  /**
+   * Render into a new element appended to a parent (used for overlays);
+   * the element is removed again on unmount
+   * @param {HTMLElement} parent - Parent element (e.g., document.body)
+   * @param {string} className - Class name for the new element
+   * @param {Object} props - Props passed to render and the hooks
+   * @returns {Component} The component
+   */
+  appendTo(parent, className, props = {}) {
+    const el = document.createElement('div');
+    el.className = className;
+    parent.appendChild(el);
+
+    this.mount(el, props);
+    this.ownsElement = true;
+    return this;
+  }
+
+  /**
+   * Re-render with new props (merged over the current ones)
+   * @param {Object} props - Changed props
+   */
+  update(props = {}) {
+    if (!this.el) return;
+
+    this.props = { ...this.props, ...props };
+    this.el.innerHTML = this.renderFn(this.props);
+    this.runHook('update');
+  }
+
+  /**
+   * Remove the component
+   */
+  unmount() {
+    if (!this.el) return;
+
+    this.runHook('unmount');
+
+    if (this.ownsElement) {
+      this.el.remove();
+    } else {
+      this.el.innerHTML = '';
+    }
+    this.el = null;
+    this.ownsElement = false;
+  }
+
+  /**
+   * Check whether the component is currently rendered
+   */
+  get mounted() {
+    return this.el !== null;
+  }
+
+  runHook(name) {
+    if (typeof this.hooks[name] === 'function') {
+      this.hooks[name](this);
+    }
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Component;
+  module.exports.escapeHtml = escapeHtml;
+}
@@ -11,6 +11,9 @@
  * - etc.
  * 
  * IMPORTANT: Make sure your backend APIs support CORS for cross-origin requests
+ * 
+ * Requests that fail throw the errors in scripts/api-errors.js (NetworkError,
+ * TimeoutError, NotFoundError, ...), like StoreAPIClient.
  */
 
 /**
@@ -28,19 +31,48 @@ const CustomAPIConfig = {
   apiKey: null, // Set this if your API requires authentication
   
   // Request timeout in milliseconds
-  timeout: 10000
+  timeout: 10000,
+
+  // How long GET responses are cached, per cache group (see scripts/api-cache.js)
+  cache: {
+    ttl: {
+      reviews: 5 * 60 * 1000,
+      loyalty: 60 * 1000
+    }
+  }
 };
 
+// Shares one request for the same reviews between product cards, and caches the result
+const customAPICache = typeof ApiCache !== 'undefined' ? new ApiCache(CustomAPIConfig.cache) : null;
+
 /**
  * Generic API request function
  * 
  * @param {string} endpoint - API endpoint (e.g., '/reviews')
  * @param {Object} options - Fetch options (method, body, headers, etc.)
+ * @param {string} options.cacheGroup - Optional cache group for GET requests (e.g., 'reviews'); uncached when omitted
  * @returns {Promise} API response
  */
 async function customAPIRequest(endpoint, options = {}) {
+  const { cacheGroup, ...requestOptions } = options;
   const url = `${CustomAPIConfig.baseUrl}${endpoint}`;
-  
+
+  if (cacheGroup && customAPICache && (requestOptions.method || 'GET') === 'GET') {
+    return customAPICache.get(url, cacheGroup, signal => sendCustomAPIRequest(url, { ...requestOptions, signal }));
+  }
+
+  return sendCustomAPIRequest(url, requestOptions);
+}
+
+/**
+ * Send a request to the custom API
+ *
+ * @param {string} url - Full URL
+ * @param {Object} options - Fetch options (method, body, headers, etc.)
+ * @returns {Promise} API response
+ */
+async function sendCustomAPIRequest(url, options = {}) {
+  const { headers, signal, ...fetchOptions } = options;
   const defaultHeaders = {
     'Content-Type': 'application/json',
   };
@@ -50,13 +82,25 @@ async function customAPIRequest(endpoint, options = {}) {
     defaultHeaders['Authorization'] = `Bearer ${CustomAPIConfig.apiKey}`;
   }
   
+  // Abort the request when it times out or the caller cancels it
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, CustomAPIConfig.timeout);
+  const cancel = () => controller.abort();
+  if (signal?.aborted) controller.abort();
+  signal?.addEventListener('abort', cancel);
+  
   const config = {
-    method: options.method || 'GET',
+    method: 'GET',
+    ...fetchOptions,
     headers: {
       ...defaultHeaders,
-      ...options.headers
+      ...headers
     },
-    ...options
+    signal: controller.signal
   };
   
   // Add body if provided
@@ -65,26 +109,27 @@ async function customAPIRequest(endpoint, options = {}) {
   }
   
   try {
-    // Create timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('Request timeout')), CustomAPIConfig.timeout);
-    });
-    
-    // Race between fetch and timeout
-    const response = await Promise.race([
-      fetch(url, config),
-      timeoutPromise
-    ]);
+    const response = await fetch(url, config);
     
     if (!response.ok) {
       const errorData = await response.json().catch(() => ({ message: response.statusText }));
-      throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
+      throw ApiError.fromResponse(response.status, errorData, response.statusText, response.headers?.get('Retry-After'));
     }
     
     return await response.json();
   } catch (error) {
-    console.error('Custom API request failed:', error);
-    throw error;
+    let requestError = error;
+    if (timedOut) {
+      requestError = new TimeoutError(`Request timed out after ${CustomAPIConfig.timeout} ms`, { cause: error });
+    } else if (!(error instanceof ApiError) && error.name !== 'AbortError') {
+      requestError = new NetworkError(error.message, { cause: error });
+    }
+    
+    console.error('Custom API request failed:', requestError);
+    throw requestError;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', cancel);
   }
 }
 
@@ -109,6 +154,9 @@ async function submitReview(productId, reviewData) {
       }
     });
     
+    // Show the new review next time reviews are fetched
+    customAPICache?.invalidate('reviews');
+    
     return result;
   } catch (error) {
     console.error('Failed to submit review:', error);
@@ -124,7 +172,7 @@ async function submitReview(productId, reviewData) {
  */
 async function getProductReviews(productId) {
   try {
-    const reviews = await customAPIRequest(`/reviews/product/${productId}`);
+    const reviews = await customAPIRequest(`/reviews/product/${productId}`, { cacheGroup: 'reviews' });
     return reviews;
   } catch (error) {
     console.error('Failed to fetch reviews:', error);
@@ -168,7 +216,7 @@ async function trackAnalytics(eventName, eventData = {}) {
  */
 async function getLoyaltyPoints(customerEmail) {
   try {
-    const loyaltyData = await customAPIRequest(`/loyalty/${encodeURIComponent(customerEmail)}`);
+    const loyaltyData = await customAPIRequest(`/loyalty/${encodeURIComponent(customerEmail)}`, { cacheGroup: 'loyalty' });
     return loyaltyData;
   } catch (error) {
     console.error('Failed to fetch loyalty points:', error);
@@ -182,11 +230,27 @@ async function getLoyaltyPoints(customerEmail) {
  * Call this function in your initTheme or after store data loads
  */
 function initializeCustomFeatures() {
+  const theme = window.SuchifyTheme;
+  const storeData = theme?.getState().storeData;
+
   // Example: Track page view
   trackAnalytics('page_view', {
     page: 'storefront',
     store_name: storeData?.name
   });
+
+  // Example: Track what shoppers do through the theme's events
+  if (theme) {
+    theme.events.on('product:viewed', ({ product }) => {
+      trackAnalytics('product_view', { product_id: product.id, product_name: product.name });
+    });
+    theme.events.on('cart:updated', ({ cart, totals }) => {
+      trackAnalytics('cart_update', { item_count: cart.items.length, cart_total: totals.total });
+    });
+    theme.events.on('checkout:completed', ({ order }) => {
+      trackAnalytics('purchase', { order_number: order.order_number });
+    });
+  }
   
   // Example: Initialize live chat widget
   // loadLiveChatWidget();
@@ -242,7 +306,8 @@ if (typeof window !== 'undefined') {
     getLoyaltyPoints,
     initializeCustomFeatures,
     enhanceProductWithReviews,
-    config: CustomAPIConfig
+    config: CustomAPIConfig,
+    cache: customAPICache
   };
 }
 
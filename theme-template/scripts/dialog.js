@@ -0,0 +1,263 @@
+/**
+ * Suchify Theme Dialogs
+ *
+ * A modal dialog is a Component rendered in an overlay above the page. It
+ * keeps keyboard focus inside itself until it closes:
+ *
+ *   const dialog = new Dialog({
+ *     render: () => renderCheckoutForm(),
+ *     labelledBy: 'checkout-title',
+ *     onDismiss: () => closeCheckout()
+ *   });
+ *   dialog.open();
+ *   dialog.close(); // focus goes back to where it was before the dialog opened
+ *
+ *   if (await Dialog.confirm({ title: 'Clear cart', message: 'Remove all items?', danger: true })) { ... }
+ *
+ * - The overlay has role="dialog" (or "alertdialog") and aria-modal="true",
+ *   and is named by the element with the `labelledBy` ID.
+ * - On open, focus moves to the first [autofocus] element, else the first
+ *   field in .modal-body, else the first focusable element. Tab and
+ *   Shift+Tab cycle through the dialog, and focus can't leave it.
+ * - Escape and a click on the backdrop call `onDismiss` (close() when there
+ *   is none), so the caller can also update the URL.
+ * - Buttons with data-dialog-value close the dialog; `dialog.closed`
+ *   resolves with that value (null when dismissed).
+ * When dialogs are stacked, only the top one handles keys and focus.
+ */
+
+const FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[tabindex]:not([tabindex="-1"])',
+  '[contenteditable="true"]'
+].join(', ');
+
+class Dialog extends Component {
+  /**
+   * @param {Object} options - Dialog definition (plus Component's render, mount, update and unmount)
+   * @param {string} options.labelledBy - ID of the element that names the dialog (usually its heading)
+   * @param {string} options.describedBy - Optional ID of the element that describes it
+   * @param {string} options.role - "dialog", or "alertdialog" for questions that need an answer (defaults to "dialog")
+   * @param {string} options.className - Extra class names for the overlay
+   * @param {Function} options.onDismiss - Called with the dialog on Escape or a backdrop click (defaults to closing it)
+   */
+  constructor({ render, mount, update, unmount, labelledBy = null, describedBy = null, role = 'dialog', className = '', onDismiss = null } = {}) {
+    super({ render, mount, update, unmount });
+    this.labelledBy = labelledBy;
+    this.describedBy = describedBy;
+    this.role = role;
+    this.className = className;
+    this.onDismiss = onDismiss;
+    this.returnFocus = null;
+    this.returnValue = null;
+    this.closed = Promise.resolve(null);
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+  }
+
+  /**
+   * Open the dialog above the page
+   * @param {Object} props - Props passed to render and the hooks
+   * @param {HTMLElement} parent - Element to add the overlay to (defaults to document.body)
+   * @returns {Dialog} The dialog
+   */
+  open(props = {}, parent = document.body) {
+    if (this.mounted) this.unmount();
+
+    this.returnFocus = document.activeElement;
+    this.returnValue = null;
+    this.closed = new Promise(resolve => {
+      this.resolveClosed = resolve;
+    });
+
+    this.appendTo(parent, `modal-overlay ${this.className}`.trim(), props);
+    this.el.setAttribute('role', this.role);
+    this.el.setAttribute('aria-modal', 'true');
+    this.el.tabIndex = -1;
+    if (this.labelledBy) this.el.setAttribute('aria-labelledby', this.labelledBy);
+    if (this.describedBy) this.el.setAttribute('aria-describedby', this.describedBy);
+
+    this.el.addEventListener('keydown', this.handleKeydown);
+    this.el.addEventListener('click', this.handleClick);
+    document.addEventListener('focusin', this.handleFocusIn);
+    Dialog.stack.push(this);
+
+    this.focusInitial();
+    return this;
+  }
+
+  /**
+   * Close the dialog and return focus
+   * @param {*} value - Value `closed` resolves with (defaults to null)
+   */
+  close(value = null) {
+    if (!this.mounted) return;
+    this.returnValue = value;
+    this.unmount();
+  }
+
+  /**
+   * Ask the dialog to close the way Escape does (runs onDismiss)
+   */
+  dismiss() {
+    if (typeof this.onDismiss === 'function') {
+      this.onDismiss(this);
+    } else {
+      this.close();
+    }
+  }
+
+  update(props = {}) {
+    const hadFocus = this.el?.contains(document.activeElement);
+    super.update(props);
+
+    // Re-rendering replaces the focused element; keep focus in the dialog
+    if (hadFocus && this.el && !this.el.contains(document.activeElement)) {
+      this.focusInitial();
+    }
+  }
+
+  unmount() {
+    if (!this.el) return;
+
+    this.el.removeEventListener('keydown', this.handleKeydown);
+    this.el.removeEventListener('click', this.handleClick);
+    document.removeEventListener('focusin', this.handleFocusIn);
+    Dialog.stack = Dialog.stack.filter(dialog => dialog !== this);
+
+    super.unmount();
+
+    if (this.returnFocus && this.returnFocus.isConnected && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+    if (this.resolveClosed) {
+      this.resolveClosed(this.returnValue);
+      this.resolveClosed = null;
+    }
+  }
+
+  /**
+   * Whether this is the top dialog (the one that handles keys and focus)
+   */
+  get isTop() {
+    return Dialog.stack[Dialog.stack.length - 1] === this;
+  }
+
+  getFocusable() {
+    return [...this.el.querySelectorAll(FOCUSABLE_SELECTOR)]
+      .filter(el => !el.hidden && !el.closest('[hidden]'));
+  }
+
+  focusInitial() {
+    const focusable = this.getFocusable();
+    const target = this.el.querySelector('[autofocus]') ||
+      focusable.find(el => el.closest('.modal-body')) ||
+      focusable[0] ||
+      this.el;
+    target.focus();
+  }
+
+  handleKeydown(event) {
+    if (!this.isTop) return;
+
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      this.dismiss();
+      return;
+    }
+
+    if (event.key !== 'Tab') return;
+
+    const focusable = this.getFocusable();
+    if (focusable.length === 0) {
+      event.preventDefault();
+      this.el.focus();
+      return;
+    }
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const active = document.activeElement;
+    if (event.shiftKey && (active === first || active === this.el)) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && active === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  handleClick(event) {
+    if (event.target === this.el) {
+      this.dismiss();
+      return;
+    }
+
+    const button = event.target.closest('[data-dialog-value]');
+    if (button && this.el.contains(button)) {
+      this.close(button.dataset.dialogValue);
+    }
+  }
+
+  handleFocusIn(event) {
+    if (this.isTop && !this.el.contains(event.target)) {
+      this.focusInitial();
+    }
+  }
+
+  /**
+   * Ask a yes/no question
+   * @param {Object} options - Question
+   * @param {string} options.title - Heading (optional)
+   * @param {string} options.message - Question text
+   * @param {string} options.confirmLabel - Confirm button text (defaults to "OK")
+   * @param {string} options.cancelLabel - Cancel button text (defaults to "Cancel")
+   * @param {boolean} options.danger - Style the confirm button as destructive and focus Cancel first
+   * @returns {Promise<boolean>} Whether the shopper confirmed
+   */
+  static confirm({ title = '', message, confirmLabel = 'OK', cancelLabel = 'Cancel', danger = false }) {
+    const id = `dialog-${Dialog.nextId++}`;
+    const dialog = new Dialog({
+      role: 'alertdialog',
+      labelledBy: title ? `${id}-title` : `${id}-message`,
+      describedBy: title ? `${id}-message` : null,
+      className: 'dialog-confirm-overlay',
+      render: () => `
+        <div class="modal dialog-confirm">
+          ${title ? `
+            <div class="modal-header">
+              <h2 id="${id}-title">${escapeHtml(title)}</h2>
+            </div>
+          ` : ''}
+          <div class="modal-body">
+            <p id="${id}-message">${escapeHtml(message)}</p>
+            <div class="dialog-actions">
+              <button type="button" class="dialog-btn" data-dialog-value="cancel" ${danger ? 'autofocus' : ''}>${escapeHtml(cancelLabel)}</button>
+              <button type="button" class="dialog-btn dialog-btn-primary${danger ? ' dialog-btn-danger' : ''}" data-dialog-value="confirm" ${danger ? '' : 'autofocus'}>${escapeHtml(confirmLabel)}</button>
+            </div>
+          </div>
+        </div>
+      `
+    });
+
+    dialog.open();
+    return dialog.closed.then(value => value === 'confirm');
+  }
+}
+
+// Open dialogs, bottom first
+Dialog.stack = [];
+Dialog.nextId = 1;
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dialog;
+}
@@ -0,0 +1,75 @@
+/**
+ * Suchify Theme Events
+ *
+ * A small event bus. The theme announces what the shopper does, and
+ * extensions (custom-api.js, analytics, partner widgets) listen without
+ * changing main.js:
+ *
+ *   SuchifyTheme.events.on('cart:updated', ({ cart, totals }) => {
+ *     updateMiniCart(cart.items.length, totals.total);
+ *   });
+ *
+ * A listener that throws is logged and doesn't stop the others, so an
+ * extension can't break the storefront.
+ */
+
+class EventBus {
+  constructor() {
+    this.listeners = {};
+  }
+
+  /**
+   * Listen for an event
+   * @param {string} type - Event name (e.g., "cart:updated")
+   * @param {Function} listener - Called with the event's data
+   * @returns {Function} Function that removes the listener
+   */
+  on(type, listener) {
+    (this.listeners[type] = this.listeners[type] || []).push(listener);
+    return () => this.off(type, listener);
+  }
+
+  /**
+   * Listen for the next occurrence of an event only
+   * @param {string} type - Event name
+   * @param {Function} listener - Called with the event's data
+   * @returns {Function} Function that removes the listener
+   */
+  once(type, listener) {
+    const remove = this.on(type, data => {
+      remove();
+      listener(data);
+    });
+    return remove;
+  }
+
+  /**
+   * Stop listening for an event
+   * @param {string} type - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(type, listener) {
+    if (!this.listeners[type]) return;
+    this.listeners[type] = this.listeners[type].filter(l => l !== listener);
+  }
+
+  /**
+   * Announce an event to its listeners
+   * @param {string} type - Event name
+   * @param {Object} data - Event data
+   */
+  emit(type, data = {}) {
+    (this.listeners[type] || []).slice().forEach(listener => {
+      try {
+        listener(data);
+      } catch (error) {
+        console.error(`Listener for "${type}" failed:`, error);
+      }
+    });
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EventBus;
+}
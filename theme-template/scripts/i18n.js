@@ -0,0 +1,196 @@
+/**
+ * Suchify Theme Internationalization
+ *
+ * Translation catalogs live in scripts/locales/ (one file per language) and
+ * register themselves with I18n.addCatalog(). Messages are looked up by key:
+ *   i18n.t('cart.empty')                        // "Your cart is empty"
+ *   i18n.t('filters.resultCount', { count: 3 }) // "3 results"
+ *
+ * A message may be a string with {placeholders}, or an object of plural
+ * forms keyed by Intl.PluralRules category ("zero", "one", "two", "few",
+ * "many", "other") that is chosen with the `count` param.
+ *
+ * Keys missing from a catalog fall back to the default (English) catalog.
+ */
+
+const DEFAULT_LOCALE = 'en';
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+class I18n {
+  /**
+   * @param {string} locale - BCP 47 locale (e.g., "es-MX")
+   */
+  constructor(locale = DEFAULT_LOCALE) {
+    this.setLocale(locale);
+  }
+
+  /**
+   * Register a translation catalog
+   * @param {string} language - Language code (e.g., "es")
+   * @param {Object} messages - Messages keyed by message key; `language.name` is the language's own name
+   */
+  static addCatalog(language, messages) {
+    I18n.catalogs[language] = messages;
+  }
+
+  /**
+   * List the languages with a registered catalog
+   * @returns {Array<{code: string, name: string}>} Languages, default language first
+   */
+  static getLanguages() {
+    return Object.keys(I18n.catalogs)
+      .sort((a, b) => (a === DEFAULT_LOCALE ? -1 : b === DEFAULT_LOCALE ? 1 : a.localeCompare(b)))
+      .map(code => ({ code, name: I18n.catalogs[code]['language.name'] || code }));
+  }
+
+  /**
+   * Pick the first candidate locale that has a catalog
+   * "es-MX" matches an "es-MX" catalog, or the "es" catalog if there is none.
+   * @param {Array<string>} candidates - Locales in order of preference
+   * @param {Array<string>} allowed - Optional language codes to choose from (defaults to all catalogs)
+   * @returns {string} Matching locale, or the default locale
+   */
+  static detectLocale(candidates, allowed) {
+    const available = (allowed && allowed.length > 0 ? allowed : Object.keys(I18n.catalogs))
+      .filter(code => I18n.catalogs[code]);
+
+    for (const candidate of candidates) {
+      if (!candidate) continue;
+      if (I18n.resolveLanguage(candidate, available)) return candidate;
+    }
+
+    return available.includes(DEFAULT_LOCALE) || available.length === 0 ? DEFAULT_LOCALE : available[0];
+  }
+
+  /**
+   * Find the catalog language for a locale
+   * @returns {string|null} Catalog language code, or null if no catalog matches
+   */
+  static resolveLanguage(locale, available = Object.keys(I18n.catalogs)) {
+    const normalized = String(locale).replace('_', '-');
+    const exact = available.find(code => code.toLowerCase() === normalized.toLowerCase());
+    if (exact) return exact;
+
+    const base = normalized.split('-')[0].toLowerCase();
+    return available.find(code => code.toLowerCase() === base) || null;
+  }
+
+  /**
+   * Change the active locale
+   * @param {string} locale - BCP 47 locale; unknown languages use the default catalog
+   */
+  setLocale(locale) {
+    this.language = I18n.resolveLanguage(locale || DEFAULT_LOCALE) || DEFAULT_LOCALE;
+    // Keep the region (e.g., "es-MX") for number and date formatting when it's a valid locale
+    this.locale = I18n.isSupportedLocale(locale) ? String(locale).replace('_', '-') : this.language;
+    this.pluralRules = new Intl.PluralRules(this.locale);
+  }
+
+  static isSupportedLocale(locale) {
+    try {
+      return Boolean(locale) && Intl.NumberFormat.supportedLocalesOf(String(locale).replace('_', '-')).length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Text direction of the active language
+   * @returns {string} "rtl" or "ltr"
+   */
+  get direction() {
+    return RTL_LANGUAGES.includes(this.language.split('-')[0]) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Translate a message
+   * @param {string} key - Message key (e.g., "cart.empty")
+   * @param {Object} params - Values for {placeholders}; `count` also selects the plural form
+   * @returns {string} Translated text (not HTML-escaped)
+   */
+  t(key, params = {}) {
+    let message = this.lookup(key);
+
+    if (message && typeof message === 'object') {
+      const category = typeof params.count === 'number' ? this.pluralRules.select(params.count) : 'other';
+      message = message[category] ?? message.other;
+    }
+
+    if (typeof message !== 'string') {
+      console.warn(`Missing translation: ${key}`);
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      params[name] === undefined ? match : String(params[name])
+    );
+  }
+
+  /**
+   * Translate a message for use as HTML
+   * The message text is escaped; params are inserted as given, so callers must escape them.
+   * @returns {string} HTML
+   */
+  html(key, params = {}) {
+    const placeholders = {};
+    Object.keys(params).forEach(name => {
+      placeholders[name] = `\u0000${name}\u0000`;
+    });
+    if (typeof params.count === 'number') placeholders.count = params.count;
+
+    return escapeHtml(this.t(key, { ...params, ...placeholders }))
+      .replace(/\u0000(\w+)\u0000/g, (match, name) => String(params[name]));
+  }
+
+  lookup(key) {
+    const catalog = I18n.catalogs[this.language] || {};
+    return key in catalog ? catalog[key] : (I18n.catalogs[DEFAULT_LOCALE] || {})[key];
+  }
+
+  /**
+   * Format an amount of money for the active locale
+   * @param {number} amount - Amount
+   * @param {string} currency - ISO 4217 currency code
+   */
+  formatPrice(amount, currency = 'USD') {
+    return new Intl.NumberFormat(this.locale, {
+      style: 'currency',
+      currency: currency
+    }).format(amount);
+  }
+
+  /**
+   * Format a number for the active locale
+   */
+  formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(this.locale, options).format(value);
+  }
+
+  /**
+   * Format a date for the active locale
+   * @param {string|Date} value - ISO 8601 string or Date
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date, or the input if it isn't a valid date
+   */
+  formatDateTime(value, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return value;
+    return new Intl.DateTimeFormat(this.locale, options).format(date);
+  }
+
+  /**
+   * Set the document language and text direction
+   * @param {HTMLElement} root - Element to update (defaults to <html>)
+   */
+  applyToDocument(root = document.documentElement) {
+    root.setAttribute('lang', this.locale);
+    root.setAttribute('dir', this.direction);
+  }
+}
+
+I18n.catalogs = {};
+
+// Export for use in main.js and scripts/validate.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
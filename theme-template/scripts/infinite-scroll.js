@@ -0,0 +1,69 @@
+/**
+ * Suchify Theme Infinite Scroll
+ *
+ * Calls a function when an element (a "sentinel" placed after a list) comes
+ * close to the viewport, so the next page of the list loads before the
+ * shopper reaches its end:
+ *
+ *   const scroll = new InfiniteScroll(() => loadMoreProducts());
+ *   scroll.observe(document.getElementById('products-sentinel'));
+ *   scroll.disconnect(); // when the list is removed
+ *
+ * Browsers without IntersectionObserver never call it; keep a "Load more"
+ * button next to the sentinel for them (and for keyboard users).
+ */
+
+class InfiniteScroll {
+  /**
+   * @param {Function} onLoadMore - Called when the sentinel approaches the viewport
+   * @param {Object} options - Options
+   * @param {string} options.rootMargin - How far ahead of the viewport to start loading (defaults to "600px")
+   */
+  constructor(onLoadMore, { rootMargin = '600px' } = {}) {
+    this.onLoadMore = onLoadMore;
+    this.rootMargin = rootMargin;
+    this.observer = null;
+    this.target = null;
+  }
+
+  /**
+   * Whether the browser supports loading on scroll
+   */
+  static get supported() {
+    return typeof IntersectionObserver !== 'undefined';
+  }
+
+  /**
+   * Watch a sentinel element, replacing the one watched before
+   * @param {HTMLElement|null} target - Sentinel element
+   */
+  observe(target) {
+    if (target === this.target) return;
+    this.disconnect();
+    if (!target || !InfiniteScroll.supported) return;
+
+    this.target = target;
+    this.observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        this.onLoadMore();
+      }
+    }, { rootMargin: this.rootMargin });
+    this.observer.observe(target);
+  }
+
+  /**
+   * Stop watching
+   */
+  disconnect() {
+    if (this.observer) {
+      this.observer.disconnect();
+      this.observer = null;
+    }
+    this.target = null;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = InfiniteScroll;
+}
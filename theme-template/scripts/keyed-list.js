@@ -0,0 +1,140 @@
+/**
+ * Suchify Theme Keyed Lists
+ *
+ * Renders a list of items into a parent element, reusing the elements of
+ * items that are already there. Each item has a key and its HTML:
+ *
+ *   KeyedList.reconcile(grid, products.map(product => ({
+ *     key: String(product.id),
+ *     html: renderProduct(product)
+ *   })));
+ *
+ * Elements whose HTML hasn't changed are kept as they are (images stay
+ * loaded, focus and scroll position are kept), changed items are replaced,
+ * new items are inserted and missing ones removed. The parent should only
+ * contain elements rendered by reconcile(); anything else is removed.
+ */
+
+// HTML each element was last rendered from, so unchanged items can be skipped
+const renderedHtml = new WeakMap();
+
+class KeyedList {
+  /**
+   * Update a parent element's children to match a list of items
+   * @param {HTMLElement} parent - Element holding the list
+   * @param {Array<{key: string, html: string}>} items - Items in display order; each item's HTML must have one root element
+   * @returns {{created: number, updated: number, moved: number, removed: number, unchanged: number}} DOM operations performed
+   */
+  static reconcile(parent, items) {
+    const stats = { created: 0, updated: 0, moved: 0, removed: 0, unchanged: 0 };
+    const wanted = new Set(items.map(item => String(item.key)));
+
+    // Drop elements for items that are gone, along with anything not rendered here
+    const existing = new Map();
+    Array.from(parent.childNodes).forEach(node => {
+      const key = node.nodeType === 1 ? node.getAttribute('data-key') : null;
+      if (key !== null && wanted.has(key) && !existing.has(key)) {
+        existing.set(key, node);
+      } else {
+        parent.removeChild(node);
+        if (node.nodeType === 1) stats.removed++;
+      }
+    });
+
+    // Replace changed elements in place and note where the kept ones are now
+    const positions = new Map(Array.from(existing.keys(), (key, index) => [key, index]));
+    const nodes = items.map(item => {
+      const key = String(item.key);
+      const node = existing.get(key);
+      if (!node) return null;
+
+      if (renderedHtml.get(node) === item.html) {
+        stats.unchanged++;
+        return node;
+      }
+
+      const replacement = KeyedList.createNode(key, item.html);
+      parent.replaceChild(replacement, node);
+      stats.updated++;
+      return replacement;
+    });
+
+    // Elements already in the right relative order stay put; only the rest move
+    const stay = KeyedList.longestIncreasingRun(
+      items.map((item, i) => (nodes[i] ? positions.get(String(item.key)) : -1))
+    );
+
+    let next = null;
+    for (let i = items.length - 1; i >= 0; i--) {
+      let node = nodes[i];
+      if (!node) {
+        node = KeyedList.createNode(String(items[i].key), items[i].html);
+        parent.insertBefore(node, next);
+        stats.created++;
+      } else if (!stay.has(i)) {
+        parent.insertBefore(node, next);
+        stats.moved++;
+      }
+      next = node;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Find the longest run of indexes whose values increase (skipping -1),
+   * i.e. the largest set of elements that are already in order
+   * @param {number[]} values - Current position of each item, or -1 for new items
+   * @returns {Set<number>} Indexes in the run
+   */
+  static longestIncreasingRun(values) {
+    const tails = [];
+    const previous = new Array(values.length).fill(-1);
+
+    values.forEach((value, i) => {
+      if (value === -1) return;
+
+      let low = 0;
+      let high = tails.length;
+      while (low < high) {
+        const middle = (low + high) >> 1;
+        if (values[tails[middle]] < value) low = middle + 1;
+        else high = middle;
+      }
+
+      if (low > 0) previous[i] = tails[low - 1];
+      tails[low] = i;
+    });
+
+    const run = new Set();
+    for (let i = tails.length ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+      run.add(i);
+    }
+    return run;
+  }
+
+  /**
+   * Create the element for an item
+   * @param {string} key - Item key, stored in data-key
+   * @param {string} html - Item markup with a single root element
+   * @returns {HTMLElement} Element
+   */
+  static createNode(key, html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+
+    const node = template.content.firstElementChild;
+    if (!node || template.content.childElementCount !== 1) {
+      throw new Error(`KeyedList item "${key}" must render exactly one root element`);
+    }
+
+    node.setAttribute('data-key', key);
+    renderedHtml.set(node, html);
+    return node;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyedList;
+}
@@ -0,0 +1,221 @@
+/**
+ * Arabic translations (right-to-left)
+ */
+I18n.addCatalog('ar', {
+  'language.name': 'العربية',
+  'language.label': 'اللغة',
+
+  'common.retry': 'إعادة المحاولة',
+  'common.close': 'إغلاق',
+  'common.cancel': 'إلغاء',
+  'common.error': 'خطأ',
+  'common.tryAgain': 'يرجى المحاولة مرة أخرى.',
+
+  'errors.network': 'يبدو أنك غير متصل بالإنترنت. تحقق من اتصالك وحاول مرة أخرى.',
+  'errors.timeout': 'يستغرق المتجر وقتًا طويلاً للرد. يرجى المحاولة مرة أخرى.',
+  'errors.outOfStock': 'عذرًا، لا يوجد مخزون كافٍ.',
+  'errors.notFound': 'هذا المنتج لم يعد متاحًا.',
+
+  'offline.banner': 'أنت غير متصل بالإنترنت. يمكنك متابعة تصفح المنتجات التي شاهدتها من قبل.',
+  'offline.pending': {
+    one: 'ستُضاف قطعة واحدة إلى سلتك عند عودة الاتصال.',
+    two: 'ستُضاف قطعتان إلى سلتك عند عودة الاتصال.',
+    few: 'ستُضاف {count} قطع إلى سلتك عند عودة الاتصال.',
+    other: 'ستُضاف {count} قطعة إلى سلتك عند عودة الاتصال.'
+  },
+  'offline.queued': 'أنت غير متصل بالإنترنت. ستتم إضافة {name} إلى سلتك عند عودة الاتصال.',
+  'offline.item': 'هذا المنتج',
+  'offline.synced': {
+    one: 'تمت إضافة قطعة واحدة اخترتها دون اتصال إلى سلتك.',
+    two: 'تمت إضافة قطعتين اخترتهما دون اتصال إلى سلتك.',
+    few: 'تمت إضافة {count} قطع اخترتها دون اتصال إلى سلتك.',
+    other: 'تمت إضافة {count} قطعة اخترتها دون اتصال إلى سلتك.'
+  },
+  'offline.notAdded': 'تعذّرت إضافة {name} إلى سلتك. {reason}',
+
+  'store.loading': 'جارٍ تحميل المتجر...',
+  'store.loadFailed': 'تعذّر تحميل بيانات المتجر. يرجى المحاولة لاحقًا.',
+  'store.notFound': 'تعذّر العثور على هذا المتجر.',
+  'store.apiUnavailable': 'عميل الواجهة البرمجية غير متاح. يرجى التحقق من إعدادات القالب.',
+  'store.defaultName': 'المتجر',
+
+  'nav.all': 'الكل',
+
+  'promotions.title': 'عروض خاصة',
+  'promotions.useCode': 'استخدم الرمز: {code}',
+
+  'products.emptyTitle': 'لم يتم العثور على منتجات',
+  'products.noMatches': 'لا توجد منتجات تطابق عوامل التصفية.',
+  'products.storeEmpty': 'لا توجد منتجات في هذا المتجر بعد.',
+  'products.categoryEmpty': 'لا توجد منتجات في فئة "{category}".',
+  'products.loading': 'جارٍ تحميل المنتجات...',
+  'products.loadFailed': 'تعذّر تحميل المنتجات. يرجى المحاولة مرة أخرى.',
+  'products.loadMore': 'تحميل المزيد',
+  'products.loadingMore': 'جارٍ تحميل المزيد من المنتجات...',
+  'products.loadMoreFailed': 'تعذّر تحميل المزيد من المنتجات.',
+  'products.notFound': 'تعذّر العثور على هذا المنتج.',
+  'products.showing': 'عرض {shown} من {total}',
+
+  'filters.search': 'بحث',
+  'filters.searchPlaceholder': 'ابحث عن المنتجات...',
+  'filters.price': 'السعر ({currency})',
+  'filters.min': 'الأدنى',
+  'filters.max': 'الأعلى',
+  'filters.minPrice': 'أدنى سعر',
+  'filters.maxPrice': 'أعلى سعر',
+  'filters.inStock': 'المتوفر فقط',
+  'filters.sortBy': 'الترتيب حسب',
+  'filters.chipSearch': 'بحث: "{search}"',
+  'filters.chipMin': 'الأدنى {price}',
+  'filters.chipMax': 'الأعلى {price}',
+  'filters.resultCount': {
+    zero: 'لا توجد نتائج',
+    one: 'نتيجة واحدة',
+    two: 'نتيجتان',
+    few: '{count} نتائج',
+    many: '{count} نتيجة',
+    other: '{count} نتيجة'
+  },
+  'filters.searching': 'جارٍ البحث...',
+  'filters.remove': 'إزالة عامل التصفية {label}',
+  'filters.clear': 'مسح عوامل التصفية',
+  'filters.clearAll': 'مسح الكل',
+  'filters.searchFailed': 'فشل البحث. يرجى المحاولة مرة أخرى.',
+
+  'sort.featured': 'المميزة',
+  'sort.priceAsc': 'السعر: من الأقل إلى الأعلى',
+  'sort.priceDesc': 'السعر: من الأعلى إلى الأقل',
+  'sort.nameAsc': 'الاسم: أبجديًا',
+
+  'product.noImage': 'لا تتوفر صورة',
+  'product.addToCart': 'أضف إلى السلة',
+  'product.chooseOptions': 'اختر الخيارات',
+  'product.outOfStock': 'نفدت الكمية',
+  'product.adding': 'جارٍ الإضافة...',
+  'product.fromPrice': 'ابتداءً من {price}',
+  'product.inStock': {
+    one: 'قطعة واحدة متوفرة',
+    two: 'قطعتان متوفرتان',
+    few: '{count} قطع متوفرة',
+    other: '{count} قطعة متوفرة'
+  },
+  'product.quantity': 'الكمية',
+
+  'variants.required': 'يرجى اختيار {label}.',
+  'variants.maxSelections': 'اختر حتى {count} من {label}.',
+  'variants.invalid': 'اختيار غير صالح لـ {label}.',
+  'variants.optionOutOfStock': 'نفدت كمية {option}.',
+  'variants.upTo': '(حتى {count})',
+  'variants.outOfStock': 'نفدت الكمية',
+  'variants.onlyLeft': {
+    one: 'بقيت قطعة واحدة فقط',
+    two: 'بقيت قطعتان فقط',
+    few: 'بقيت {count} قطع فقط',
+    other: 'بقيت {count} قطعة فقط'
+  },
+
+  'footer.phone': 'الهاتف: {phone}',
+  'footer.email': 'البريد الإلكتروني: {email}',
+  'footer.address': 'العنوان: {address}',
+  'footer.trackOrder': 'تتبع طلبًا',
+  'footer.poweredBy': 'مدعوم من Suchify',
+
+  'cart.title': 'سلة التسوق',
+  'cart.empty': 'سلة التسوق فارغة',
+  'cart.checkout': 'إتمام الشراء',
+  'cart.remove': 'إزالة',
+  'cart.clear': 'إفراغ السلة',
+  'cart.clearConfirm': 'هل تريد إزالة جميع المنتجات من السلة؟',
+  'cart.decrease': 'تقليل الكمية',
+  'cart.increase': 'زيادة الكمية',
+  'cart.quantityOf': 'كمية {name}',
+  'cart.deliveryMethod': 'طريقة الاستلام',
+  'cart.minimumOrder': 'الحد الأدنى للطلب {minimum}. أضف {remaining} لإتمام الشراء.',
+  'cart.added': 'تمت إضافة {name} إلى السلة',
+  'cart.addFailed': 'تعذّرت إضافة المنتج إلى السلة. يرجى المحاولة مرة أخرى.',
+  'cart.updateFailed': 'تعذّر تحديث السلة. يرجى المحاولة مرة أخرى.',
+  'cart.removeFailed': 'تعذّرت إزالة المنتج. يرجى المحاولة مرة أخرى.',
+  'cart.clearFailed': 'تعذّر إفراغ السلة. يرجى المحاولة مرة أخرى.',
+  'cart.reviewChanges': 'تغيّرت بعض المنتجات في سلتك. يرجى مراجعة السلة قبل إتمام الشراء.',
+
+  'cartNotices.title': 'تغيّرت سلتك منذ زيارتك الأخيرة',
+  'cartNotices.removed': 'لم يعد {name} معروضًا للبيع وتمت إزالته من سلتك.',
+  'cartNotices.outOfStock': 'نفدت كمية {name} وتمت إزالته من سلتك.',
+  'cartNotices.insufficientStock': 'بقي {available} فقط من {name}، وتم تغيير الكمية من {quantity} إلى {available}.',
+  'cartNotices.priceChanged': 'تغيّر سعر {name} من {oldPrice} إلى {newPrice}.',
+  'cartNotices.unavailable': 'تعذّرت استعادة {name}.',
+  'cartNotices.unavailableReason': 'تعذّرت استعادة {name}: {reason}.',
+  'cartNotices.dismiss': 'حسنًا، فهمت',
+
+  'totals.subtotal': 'المجموع الفرعي',
+  'totals.discount': 'الخصم',
+  'totals.discountCode': 'الخصم ({code})',
+  'totals.delivery': 'التوصيل',
+  'totals.deliveryFee': 'رسوم التوصيل',
+  'totals.free': 'مجاني',
+  'totals.tax': 'الضريبة',
+  'totals.total': 'الإجمالي:',
+
+  'promo.label': 'رمز العرض',
+  'promo.placeholder': 'أدخل الرمز',
+  'promo.apply': 'تطبيق',
+  'promo.remove': 'إزالة',
+  'promo.applied': 'الرمز {code}',
+  'promo.invalid': 'الرمز {code} غير صالح.',
+  'promo.notActive': 'الرمز {code} غير مفعّل بعد.',
+  'promo.expired': 'انتهت صلاحية الرمز {code}.',
+  'promo.minimum': 'يتطلب الرمز {code} حدًا أدنى للطلب قدره {amount}.',
+  'promo.notApplicable': 'لا ينطبق الرمز {code} على المنتجات في سلتك.',
+
+  'delivery.delivery': 'توصيل',
+  'delivery.pickup': 'استلام من المتجر',
+
+  'payment.cash': 'نقدًا',
+  'payment.card': 'بطاقة',
+  'payment.online': 'عبر الإنترنت',
+
+  'checkout.title': 'إتمام الشراء',
+  'checkout.notAccepting': 'لا يستقبل هذا المتجر طلبات التوصيل أو الاستلام حاليًا.',
+  'checkout.placeOrder': 'تأكيد الطلب',
+  'checkout.processing': 'جارٍ المعالجة...',
+  'checkout.correctFields': 'يرجى تصحيح الحقول المحددة.',
+  'checkout.failed': 'تعذّر إتمام الطلب. يرجى المحاولة مرة أخرى.',
+  'checkout.name': 'الاسم',
+  'checkout.email': 'البريد الإلكتروني',
+  'checkout.phone': 'الهاتف',
+  'checkout.deliveryMethod': 'طريقة الاستلام',
+  'checkout.deliveryAddress': 'عنوان التوصيل',
+  'checkout.paymentMethod': 'طريقة الدفع',
+  'checkout.specialInstructions': 'تعليمات خاصة',
+  'checkout.fieldRequired': '{field} مطلوب.',
+  'checkout.fieldChoose': 'اختر {field}.',
+  'checkout.fieldTooLong': 'يجب ألا يتجاوز {field} {max} حرفًا.',
+  'checkout.invalidEmail': 'أدخل عنوان بريد إلكتروني صالحًا.',
+  'checkout.invalidPhone': 'أدخل رقم هاتف صالحًا مع رمز المنطقة.',
+
+  'order.status.pending': 'تم استلام الطلب',
+  'order.status.preparing': 'قيد التحضير',
+  'order.status.ready': 'جاهز',
+  'order.status.out_for_delivery': 'في الطريق إليك',
+  'order.status.delivered': 'تم التوصيل',
+  'order.status.cancelled': 'ملغى',
+  'order.status.pickedUp': 'تم الاستلام',
+  'order.trackTitle': 'تتبع طلبك',
+  'order.number': 'رقم الطلب',
+  'order.track': 'تتبع',
+  'order.loading': 'جارٍ تحميل الطلب...',
+  'order.notFoundTitle': 'لم يتم العثور على الطلب',
+  'order.notFound': 'تعذّر تحميل الطلب {number}. يرجى التحقق من رقم الطلب والمحاولة مرة أخرى.',
+  'order.placedTitle': 'شكرًا لك! تم تقديم طلبك.',
+  'order.placedHint': 'أبقِ هذه الصفحة مفتوحة أو أضفها إلى المفضلة لمتابعة طلبك.',
+  'order.title': 'الطلب {number}',
+  'order.statusLine': 'الحالة: {status}',
+  'order.estimatedDelivery': 'الوقت المتوقع للتوصيل: {time}',
+  'order.estimatedReady': 'الوقت المتوقع لجاهزية الطلب: {time}',
+  'order.name': 'الاسم',
+  'order.deliveryMethod': 'طريقة الاستلام',
+  'order.address': 'العنوان',
+  'order.placed': 'تاريخ الطلب',
+  'order.autoRefresh': 'تحديث الحالة تلقائيًا',
+  'order.continueShopping': 'متابعة التسوق'
+});
@@ -0,0 +1,206 @@
+/**
+ * English translations (default catalog)
+ *
+ * Every key used by the theme must be defined here; other catalogs fall back
+ * to these messages. `npm run validate` reports keys missing from other catalogs.
+ */
+I18n.addCatalog('en', {
+  'language.name': 'English',
+  'language.label': 'Language',
+
+  'common.retry': 'Retry',
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.error': 'Error',
+  'common.tryAgain': 'Please try again.',
+
+  'errors.network': 'You appear to be offline. Check your connection and try again.',
+  'errors.timeout': 'The store is taking too long to respond. Please try again.',
+  'errors.outOfStock': 'Sorry, there isn\'t enough stock for that.',
+  'errors.notFound': 'This item is no longer available.',
+
+  'offline.banner': 'You\'re offline. You can keep browsing the products you\'ve already seen.',
+  'offline.pending': {
+    one: '{count} item will be added to your cart when you\'re back online.',
+    other: '{count} items will be added to your cart when you\'re back online.'
+  },
+  'offline.queued': 'You\'re offline. {name} will be added to your cart when you\'re back online.',
+  'offline.item': 'This item',
+  'offline.synced': {
+    one: 'Added {count} item you chose while offline to your cart.',
+    other: 'Added {count} items you chose while offline to your cart.'
+  },
+  'offline.notAdded': '{name} could not be added to your cart. {reason}',
+
+  'store.loading': 'Loading store...',
+  'store.loadFailed': 'Failed to load store data. Please try again later.',
+  'store.notFound': 'This store could not be found.',
+  'store.apiUnavailable': 'API client not available. Please check your theme configuration.',
+  'store.defaultName': 'Store',
+
+  'nav.all': 'All',
+
+  'promotions.title': 'Special Offers',
+  'promotions.useCode': 'Use code: {code}',
+
+  'products.emptyTitle': 'No products found',
+  'products.noMatches': 'No products match your filters.',
+  'products.storeEmpty': 'This store has no products yet.',
+  'products.categoryEmpty': 'No products in the "{category}" category.',
+  'products.loading': 'Loading products...',
+  'products.loadFailed': 'Products could not be loaded. Please try again.',
+  'products.loadMore': 'Load more',
+  'products.loadingMore': 'Loading more products...',
+  'products.loadMoreFailed': 'More products could not be loaded.',
+  'products.notFound': 'This product could not be found.',
+  'products.showing': 'Showing {shown} of {total}',
+
+  'filters.search': 'Search',
+  'filters.searchPlaceholder': 'Search products...',
+  'filters.price': 'Price ({currency})',
+  'filters.min': 'Min',
+  'filters.max': 'Max',
+  'filters.minPrice': 'Minimum price',
+  'filters.maxPrice': 'Maximum price',
+  'filters.inStock': 'In stock only',
+  'filters.sortBy': 'Sort by',
+  'filters.chipSearch': 'Search: "{search}"',
+  'filters.chipMin': 'Min {price}',
+  'filters.chipMax': 'Max {price}',
+  'filters.resultCount': {
+    one: '{count} result',
+    other: '{count} results'
+  },
+  'filters.searching': 'Searching...',
+  'filters.remove': 'Remove filter {label}',
+  'filters.clear': 'Clear filters',
+  'filters.clearAll': 'Clear all',
+  'filters.searchFailed': 'Search failed. Please try again.',
+
+  'sort.featured': 'Featured',
+  'sort.priceAsc': 'Price: low to high',
+  'sort.priceDesc': 'Price: high to low',
+  'sort.nameAsc': 'Name: A to Z',
+
+  'product.noImage': 'No image available',
+  'product.addToCart': 'Add to Cart',
+  'product.chooseOptions': 'Choose Options',
+  'product.outOfStock': 'Out of Stock',
+  'product.adding': 'Adding...',
+  'product.fromPrice': 'From {price}',
+  'product.inStock': '{count} in stock',
+  'product.quantity': 'Quantity',
+
+  'variants.required': 'Please select {label}.',
+  'variants.maxSelections': 'Choose up to {count} for {label}.',
+  'variants.invalid': 'Invalid choice for {label}.',
+  'variants.optionOutOfStock': '{option} is out of stock.',
+  'variants.upTo': '(up to {count})',
+  'variants.outOfStock': 'Out of stock',
+  'variants.onlyLeft': 'Only {count} left',
+
+  'footer.phone': 'Phone: {phone}',
+  'footer.email': 'Email: {email}',
+  'footer.address': 'Address: {address}',
+  'footer.trackOrder': 'Track an order',
+  'footer.poweredBy': 'Powered by Suchify',
+
+  'cart.title': 'Shopping Cart',
+  'cart.empty': 'Your cart is empty',
+  'cart.checkout': 'Checkout',
+  'cart.remove': 'Remove',
+  'cart.clear': 'Clear cart',
+  'cart.clearConfirm': 'Remove all items from your cart?',
+  'cart.decrease': 'Decrease quantity',
+  'cart.increase': 'Increase quantity',
+  'cart.quantityOf': 'Quantity of {name}',
+  'cart.deliveryMethod': 'Delivery method',
+  'cart.minimumOrder': 'The minimum order is {minimum}. Add {remaining} more to check out.',
+  'cart.added': 'Added {name} to your cart',
+  'cart.addFailed': 'Failed to add item to cart. Please try again.',
+  'cart.updateFailed': 'Failed to update cart. Please try again.',
+  'cart.removeFailed': 'Failed to remove item. Please try again.',
+  'cart.clearFailed': 'Failed to clear cart. Please try again.',
+  'cart.reviewChanges': 'Some items in your cart have changed. Please review your cart before checkout.',
+
+  'cartNotices.title': 'Your cart has changed since your last visit',
+  'cartNotices.removed': '{name} is no longer sold and was removed from your cart.',
+  'cartNotices.outOfStock': '{name} is out of stock and was removed from your cart.',
+  'cartNotices.insufficientStock': 'Only {available} of {name} left, quantity changed from {quantity} to {available}.',
+  'cartNotices.priceChanged': 'The price of {name} changed from {oldPrice} to {newPrice}.',
+  'cartNotices.unavailable': '{name} could not be restored.',
+  'cartNotices.unavailableReason': '{name} could not be restored: {reason}.',
+  'cartNotices.dismiss': 'OK, got it',
+
+  'totals.subtotal': 'Subtotal',
+  'totals.discount': 'Discount',
+  'totals.discountCode': 'Discount ({code})',
+  'totals.delivery': 'Delivery',
+  'totals.deliveryFee': 'Delivery fee',
+  'totals.free': 'Free',
+  'totals.tax': 'Tax',
+  'totals.total': 'Total:',
+
+  'promo.label': 'Promotion code',
+  'promo.placeholder': 'Enter code',
+  'promo.apply': 'Apply',
+  'promo.remove': 'Remove',
+  'promo.applied': 'Code {code}',
+  'promo.invalid': 'Code {code} is not valid.',
+  'promo.notActive': 'Code {code} isn\'t active yet.',
+  'promo.expired': 'Code {code} has expired.',
+  'promo.minimum': 'Code {code} requires a minimum order of {amount}.',
+  'promo.notApplicable': 'Code {code} doesn\'t apply to the items in your cart.',
+
+  'delivery.delivery': 'Delivery',
+  'delivery.pickup': 'Pickup',
+
+  'payment.cash': 'Cash',
+  'payment.card': 'Card',
+  'payment.online': 'Online',
+
+  'checkout.title': 'Checkout',
+  'checkout.notAccepting': 'This store isn\'t accepting delivery or pickup orders right now.',
+  'checkout.placeOrder': 'Place Order',
+  'checkout.processing': 'Processing...',
+  'checkout.correctFields': 'Please correct the highlighted fields.',
+  'checkout.failed': 'Your order could not be placed. Please try again.',
+  'checkout.name': 'Name',
+  'checkout.email': 'Email',
+  'checkout.phone': 'Phone',
+  'checkout.deliveryMethod': 'Delivery Method',
+  'checkout.deliveryAddress': 'Delivery Address',
+  'checkout.paymentMethod': 'Payment Method',
+  'checkout.specialInstructions': 'Special Instructions',
+  'checkout.fieldRequired': '{field} is required.',
+  'checkout.fieldChoose': 'Choose a {field}.',
+  'checkout.fieldTooLong': '{field} must be {max} characters or less.',
+  'checkout.invalidEmail': 'Enter a valid email address.',
+  'checkout.invalidPhone': 'Enter a valid phone number, including the area code.',
+
+  'order.status.pending': 'Order received',
+  'order.status.preparing': 'Preparing',
+  'order.status.ready': 'Ready',
+  'order.status.out_for_delivery': 'Out for delivery',
+  'order.status.delivered': 'Delivered',
+  'order.status.cancelled': 'Cancelled',
+  'order.status.pickedUp': 'Picked up',
+  'order.trackTitle': 'Track your order',
+  'order.number': 'Order number',
+  'order.track': 'Track',
+  'order.loading': 'Loading order...',
+  'order.notFoundTitle': 'Order not found',
+  'order.notFound': 'We couldn\'t load order {number}. Please check the order number and try again.',
+  'order.placedTitle': 'Thank you! Your order has been placed.',
+  'order.placedHint': 'Keep this page open or bookmark it to follow your order.',
+  'order.title': 'Order {number}',
+  'order.statusLine': 'Status: {status}',
+  'order.estimatedDelivery': 'Estimated delivery time: {time}',
+  'order.estimatedReady': 'Estimated ready time: {time}',
+  'order.name': 'Name',
+  'order.deliveryMethod': 'Delivery method',
+  'order.address': 'Address',
+  'order.placed': 'Placed',
+  'order.autoRefresh': 'Refresh status automatically',
+  'order.continueShopping': 'Continue shopping'
+});
@@ -0,0 +1,206 @@
+/**
+ * Spanish translations
+ */
+I18n.addCatalog('es', {
+  'language.name': 'Español',
+  'language.label': 'Idioma',
+
+  'common.retry': 'Reintentar',
+  'common.close': 'Cerrar',
+  'common.cancel': 'Cancelar',
+  'common.error': 'Error',
+  'common.tryAgain': 'Inténtalo de nuevo.',
+
+  'errors.network': 'Parece que no tienes conexión. Comprueba tu conexión e inténtalo de nuevo.',
+  'errors.timeout': 'La tienda está tardando demasiado en responder. Inténtalo de nuevo.',
+  'errors.outOfStock': 'Lo sentimos, no hay suficiente stock.',
+  'errors.notFound': 'Este artículo ya no está disponible.',
+
+  'offline.banner': 'Estás sin conexión. Puedes seguir viendo los productos que ya has visto.',
+  'offline.pending': {
+    one: '{count} artículo se añadirá a tu carrito cuando vuelvas a estar en línea.',
+    other: '{count} artículos se añadirán a tu carrito cuando vuelvas a estar en línea.'
+  },
+  'offline.queued': 'Estás sin conexión. {name} se añadirá a tu carrito cuando vuelvas a estar en línea.',
+  'offline.item': 'Este artículo',
+  'offline.synced': {
+    one: 'Se añadió a tu carrito {count} artículo elegido sin conexión.',
+    other: 'Se añadieron a tu carrito {count} artículos elegidos sin conexión.'
+  },
+  'offline.notAdded': 'No se pudo añadir {name} a tu carrito. {reason}',
+
+  'store.loading': 'Cargando tienda...',
+  'store.loadFailed': 'No se pudieron cargar los datos de la tienda. Inténtalo de nuevo más tarde.',
+  'store.notFound': 'No se encontró esta tienda.',
+  'store.apiUnavailable': 'El cliente de la API no está disponible. Revisa la configuración del tema.',
+  'store.defaultName': 'Tienda',
+
+  'nav.all': 'Todo',
+
+  'promotions.title': 'Ofertas especiales',
+  'promotions.useCode': 'Usa el código: {code}',
+
+  'products.emptyTitle': 'No se encontraron productos',
+  'products.noMatches': 'Ningún producto coincide con tus filtros.',
+  'products.storeEmpty': 'Esta tienda aún no tiene productos.',
+  'products.categoryEmpty': 'No hay productos en la categoría "{category}".',
+  'products.loading': 'Cargando productos...',
+  'products.loadFailed': 'No se pudieron cargar los productos. Inténtalo de nuevo.',
+  'products.loadMore': 'Cargar más',
+  'products.loadingMore': 'Cargando más productos...',
+  'products.loadMoreFailed': 'No se pudieron cargar más productos.',
+  'products.notFound': 'No se encontró este producto.',
+  'products.showing': 'Mostrando {shown} de {total}',
+
+  'filters.search': 'Buscar',
+  'filters.searchPlaceholder': 'Buscar productos...',
+  'filters.price': 'Precio ({currency})',
+  'filters.min': 'Mín.',
+  'filters.max': 'Máx.',
+  'filters.minPrice': 'Precio mínimo',
+  'filters.maxPrice': 'Precio máximo',
+  'filters.inStock': 'Solo disponibles',
+  'filters.sortBy': 'Ordenar por',
+  'filters.chipSearch': 'Búsqueda: "{search}"',
+  'filters.chipMin': 'Mín. {price}',
+  'filters.chipMax': 'Máx. {price}',
+  'filters.resultCount': {
+    one: '{count} resultado',
+    other: '{count} resultados'
+  },
+  'filters.searching': 'Buscando...',
+  'filters.remove': 'Quitar filtro {label}',
+  'filters.clear': 'Quitar filtros',
+  'filters.clearAll': 'Quitar todo',
+  'filters.searchFailed': 'La búsqueda falló. Inténtalo de nuevo.',
+
+  'sort.featured': 'Destacados',
+  'sort.priceAsc': 'Precio: de menor a mayor',
+  'sort.priceDesc': 'Precio: de mayor a menor',
+  'sort.nameAsc': 'Nombre: de la A a la Z',
+
+  'product.noImage': 'Imagen no disponible',
+  'product.addToCart': 'Añadir al carrito',
+  'product.chooseOptions': 'Elegir opciones',
+  'product.outOfStock': 'Agotado',
+  'product.adding': 'Añadiendo...',
+  'product.fromPrice': 'Desde {price}',
+  'product.inStock': '{count} disponibles',
+  'product.quantity': 'Cantidad',
+
+  'variants.required': 'Selecciona {label}.',
+  'variants.maxSelections': 'Elige hasta {count} en {label}.',
+  'variants.invalid': 'Opción no válida para {label}.',
+  'variants.optionOutOfStock': '{option} está agotado.',
+  'variants.upTo': '(hasta {count})',
+  'variants.outOfStock': 'Agotado',
+  'variants.onlyLeft': {
+    one: 'Solo queda {count}',
+    other: 'Solo quedan {count}'
+  },
+
+  'footer.phone': 'Teléfono: {phone}',
+  'footer.email': 'Correo: {email}',
+  'footer.address': 'Dirección: {address}',
+  'footer.trackOrder': 'Seguir un pedido',
+  'footer.poweredBy': 'Con la tecnología de Suchify',
+
+  'cart.title': 'Carrito de compras',
+  'cart.empty': 'Tu carrito está vacío',
+  'cart.checkout': 'Pagar',
+  'cart.remove': 'Eliminar',
+  'cart.clear': 'Vaciar carrito',
+  'cart.clearConfirm': '¿Eliminar todos los artículos del carrito?',
+  'cart.decrease': 'Reducir cantidad',
+  'cart.increase': 'Aumentar cantidad',
+  'cart.quantityOf': 'Cantidad de {name}',
+  'cart.deliveryMethod': 'Método de entrega',
+  'cart.minimumOrder': 'El pedido mínimo es de {minimum}. Añade {remaining} más para pagar.',
+  'cart.added': 'Se añadió {name} al carrito',
+  'cart.addFailed': 'No se pudo añadir el artículo al carrito. Inténtalo de nuevo.',
+  'cart.updateFailed': 'No se pudo actualizar el carrito. Inténtalo de nuevo.',
+  'cart.removeFailed': 'No se pudo eliminar el artículo. Inténtalo de nuevo.',
+  'cart.clearFailed': 'No se pudo vaciar el carrito. Inténtalo de nuevo.',
+  'cart.reviewChanges': 'Algunos artículos de tu carrito han cambiado. Revisa el carrito antes de pagar.',
+
+  'cartNotices.title': 'Tu carrito ha cambiado desde tu última visita',
+  'cartNotices.removed': '{name} ya no está a la venta y se eliminó del carrito.',
+  'cartNotices.outOfStock': '{name} está agotado y se eliminó del carrito.',
+  'cartNotices.insufficientStock': 'Solo quedan {available} de {name}; la cantidad cambió de {quantity} a {available}.',
+  'cartNotices.priceChanged': 'El precio de {name} cambió de {oldPrice} a {newPrice}.',
+  'cartNotices.unavailable': 'No se pudo recuperar {name}.',
+  'cartNotices.unavailableReason': 'No se pudo recuperar {name}: {reason}.',
+  'cartNotices.dismiss': 'Entendido',
+
+  'totals.subtotal': 'Subtotal',
+  'totals.discount': 'Descuento',
+  'totals.discountCode': 'Descuento ({code})',
+  'totals.delivery': 'Envío',
+  'totals.deliveryFee': 'Gastos de envío',
+  'totals.free': 'Gratis',
+  'totals.tax': 'Impuestos',
+  'totals.total': 'Total:',
+
+  'promo.label': 'Código promocional',
+  'promo.placeholder': 'Introduce el código',
+  'promo.apply': 'Aplicar',
+  'promo.remove': 'Quitar',
+  'promo.applied': 'Código {code}',
+  'promo.invalid': 'El código {code} no es válido.',
+  'promo.notActive': 'El código {code} aún no está activo.',
+  'promo.expired': 'El código {code} ha caducado.',
+  'promo.minimum': 'El código {code} requiere un pedido mínimo de {amount}.',
+  'promo.notApplicable': 'El código {code} no se aplica a los artículos de tu carrito.',
+
+  'delivery.delivery': 'Envío a domicilio',
+  'delivery.pickup': 'Recogida en tienda',
+
+  'payment.cash': 'Efectivo',
+  'payment.card': 'Tarjeta',
+  'payment.online': 'En línea',
+
+  'checkout.title': 'Pago',
+  'checkout.notAccepting': 'Esta tienda no acepta pedidos a domicilio ni para recoger en este momento.',
+  'checkout.placeOrder': 'Realizar pedido',
+  'checkout.processing': 'Procesando...',
+  'checkout.correctFields': 'Corrige los campos marcados.',
+  'checkout.failed': 'No se pudo realizar el pedido. Inténtalo de nuevo.',
+  'checkout.name': 'Nombre',
+  'checkout.email': 'Correo electrónico',
+  'checkout.phone': 'Teléfono',
+  'checkout.deliveryMethod': 'Método de entrega',
+  'checkout.deliveryAddress': 'Dirección de entrega',
+  'checkout.paymentMethod': 'Método de pago',
+  'checkout.specialInstructions': 'Instrucciones especiales',
+  'checkout.fieldRequired': '{field} es obligatorio.',
+  'checkout.fieldChoose': 'Elige un {field}.',
+  'checkout.fieldTooLong': '{field} debe tener {max} caracteres o menos.',
+  'checkout.invalidEmail': 'Introduce un correo electrónico válido.',
+  'checkout.invalidPhone': 'Introduce un número de teléfono válido, con el prefijo de zona.',
+
+  'order.status.pending': 'Pedido recibido',
+  'order.status.preparing': 'En preparación',
+  'order.status.ready': 'Listo',
+  'order.status.out_for_delivery': 'En reparto',
+  'order.status.delivered': 'Entregado',
+  'order.status.cancelled': 'Cancelado',
+  'order.status.pickedUp': 'Recogido',
+  'order.trackTitle': 'Sigue tu pedido',
+  'order.number': 'Número de pedido',
+  'order.track': 'Seguir',
+  'order.loading': 'Cargando pedido...',
+  'order.notFoundTitle': 'Pedido no encontrado',
+  'order.notFound': 'No pudimos cargar el pedido {number}. Comprueba el número de pedido e inténtalo de nuevo.',
+  'order.placedTitle': '¡Gracias! Tu pedido se ha realizado.',
+  'order.placedHint': 'Mantén esta página abierta o guárdala en favoritos para seguir tu pedido.',
+  'order.title': 'Pedido {number}',
+  'order.statusLine': 'Estado: {status}',
+  'order.estimatedDelivery': 'Hora estimada de entrega: {time}',
+  'order.estimatedReady': 'Hora estimada de recogida: {time}',
+  'order.name': 'Nombre',
+  'order.deliveryMethod': 'Método de entrega',
+  'order.address': 'Dirección',
+  'order.placed': 'Realizado',
+  'order.autoRefresh': 'Actualizar el estado automáticamente',
+  'order.continueShopping': 'Seguir comprando'
+});
@@ -5,14 +5,104 @@
  * The initTheme function is called automatically by the Suchify theme runtime.
  */
 
-// Global state
-let storeData = null;
-let products = [];
-let categories = [];
-let promotions = [];
-let cart = { items: [], subtotal: 0, tax: 0, total: 0 };
-let currentCategory = 'all';
+// Theme state (see scripts/store.js); change it by dispatching an action from STORE_ACTIONS
+const INITIAL_CART = { items: [], subtotal: 0, tax: 0, total: 0 };
+
+const STORE_ACTIONS = {
+  storeLoaded: (state, { storeData, categories, promotions }) => ({ storeData, categories, promotions }),
+  setCategory: (state, category) => ({ currentCategory: category }),
+  setProductFilters: (state, filters) => ({ productFilters: { ...state.productFilters, ...filters } }),
+  // The previous results stay on screen (dimmed) until the first page of the new list arrives
+  productListRequested: (state, query) => ({ productList: { ...state.productList, query, status: 'loading' } }),
+  productPageRequested: state => ({ productList: { ...state.productList, status: 'loadingMore' } }),
+  productPageLoaded: (state, page) => ({
+    products: mergeProducts(state.products, page.products),
+    productList: {
+      ...state.productList,
+      items: state.productList.status === 'loading' ? page.products : mergeProducts(state.productList.items, page.products),
+      total: page.total,
+      next: page.next,
+      status: 'loaded',
+      error: null
+    }
+  }),
+  productPageFailed: (state, error) => ({
+    productList: { ...state.productList, status: state.productList.status === 'loading' ? 'failed' : 'moreFailed', error }
+  }),
+  productPageCancelled: state => ({
+    productList: { ...state.productList, status: state.productList.status === 'loading' ? 'idle' : 'loaded' }
+  }),
+  productsReceived: (state, products) => ({ products: mergeProducts(state.products, products) }),
+  setCart: (state, cart) => ({ cart }),
+  setCartNotices: (state, cartNotices) => ({ cartNotices }),
+  applyPromotion: (state, code) => ({ appliedPromotionCode: code }),
+  removePromotion: () => ({ appliedPromotionCode: null }),
+  setDeliveryMethod: (state, method) => ({ selectedDeliveryMethod: method }),
+  orderPlaced: (state, order) => ({ cart: INITIAL_CART, appliedPromotionCode: null, lastPlacedOrder: order.order_number })
+};
+
+const themeStore = new Store({
+  storeData: null,
+  products: [], // Every product loaded so far (any page, category or filter), to look products up by ID
+  categories: [],
+  promotions: [],
+  cart: INITIAL_CART,
+  currentCategory: 'all',
+  productFilters: { search: '', min_price: '', max_price: '', in_stock: false, sort: 'default' },
+  // Products shown in the catalog for `query` (the current category and filters), loaded a page at a time.
+  // status: idle, loading (first page), loadingMore, loaded, failed (first page) or moreFailed
+  productList: { query: null, items: [], total: null, next: null, status: 'idle', error: null },
+  appliedPromotionCode: null,
+  selectedDeliveryMethod: null, // Chosen in the cart or checkout form; see getSelectedDeliveryMethod
+  cartNotices: [], // Changes found when restoring a saved cart, shown until the shopper dismisses them
+  lastPlacedOrder: null // Order number of the order placed in this visit
+}, STORE_ACTIONS);
+
+// Events extensions can listen for (see scripts/events.js)
+const themeEvents = new EventBus();
+
+// Services and views set up by initTheme
+let currentView = 'catalog';
+let productQueryController = null;
+let productQueryId = 0;
+let lastCatalogPath = '/';
+let catalogScrollY = null; // Scroll position of the catalog when another page replaced it
 let api = null;
+let router = null;
+let actions = null;
+let themeContainer = null;
+let currentPage = null; // Component rendered in <main>
+let productDetailView = null;
+let cartView = null;
+let checkoutView = null;
+let currentStoreSlug = null;
+let themeManifestUrl = 'manifest.json';
+let i18n = new I18n();
+let toasts = new Toaster();
+let cartQueue = null; // Additions to the cart made while offline (see getCartQueue)
+let cartRestorePending = false; // The saved cart couldn't be restored offline; restore it when back online
+let connectivityWatched = false;
+
+// The cart panel, its totals and the saved cart follow the cart state
+themeStore.subscribe(['cart', 'cartNotices', 'appliedPromotionCode', 'selectedDeliveryMethod'], (state, changed) => {
+  updateCartDisplay(changed);
+  if (changed.includes('cart')) {
+    themeEvents.emit('cart:updated', { cart: state.cart, totals: calculateCartTotals() });
+  }
+});
+
+/**
+ * Public API for extensions loaded after main.js
+ * Events: cart:updated, product:viewed, checkout:completed
+ */
+if (typeof window !== 'undefined') {
+  window.SuchifyTheme = {
+    events: themeEvents,
+    getState: () => themeStore.state,
+    subscribe: (keys, listener) => themeStore.subscribe(keys, listener),
+    toast: (message, type) => showToast(message, type)
+  };
+}
 
 /**
  * Initialize theme - Called automatically by Suchify theme runtime
@@ -20,36 +110,156 @@ let api = null;
  * @param {Object} params.api - StoreAPIClient instance
  * @param {HTMLElement} params.container - Container element to render into
  * @param {string} params.storeSlug - Store slug identifier
+ * @param {string} params.manifestUrl - Optional URL of the theme's manifest.json (defaults to "manifest.json")
+ * @param {Object|false} params.cache - Optional API cache options ({ ttl, staleWhileRevalidate }), or false to turn caching off (see scripts/api-cache.js)
+ * @param {string|false} params.serviceWorker - Optional URL of the service worker (defaults to "sw.js"), or false to not register one
  */
-function initTheme({ api: apiClient, container, storeSlug }) {
+function initTheme({ api: apiClient, container, storeSlug, manifestUrl, cache, serviceWorker }) {
   // Store API client reference
   api = apiClient || window.__STORE_API__;
+  currentStoreSlug = storeSlug || api?.storeSlug || null;
+
+  // Use the shopper's saved or browser language until the store's settings load
+  applyLocale();
   
   if (!api) {
     console.error('API client not available');
     const containerEl = container || document.getElementById('theme-container');
     if (containerEl) {
-      containerEl.innerHTML = '<div class="error">API client not available. Please check your theme configuration.</div>';
+      containerEl.innerHTML = `<div class="error">${escapeHtml(t('store.apiUnavailable'))}</div>`;
     }
     return;
   }
 
-  // Set store slug if using custom API client
-  if (api.storeSlug !== undefined) {
+  // Point a StoreAPIClient at this store (injected clients may not have a slug)
+  if (storeSlug && 'storeSlug' in api) {
     api.storeSlug = storeSlug;
   }
+  if (cache !== undefined && typeof api.configureCache === 'function') {
+    api.configureCache(cache);
+  }
+  themeManifestUrl = manifestUrl || 'manifest.json';
+
+  // Keep working offline: cache the theme and store data, and show when the connection drops
+  if (serviceWorker !== false) {
+    registerServiceWorker(serviceWorker || 'sw.js');
+  }
+  watchConnectivity();
 
-  const themeContainer = container || document.getElementById('theme-container');
+  themeContainer = container || document.getElementById('theme-container');
   
   if (!themeContainer) {
     console.error('Theme container not found');
     return;
   }
 
+  // Toasts live outside the container, so re-rendering the theme keeps them
+  toasts.mount(document.body);
+
+  // Set up client-side routes (started once store data has loaded)
+  if (router) router.stop();
+  router = createRouter();
+
+  // Handle data-action events for everything the theme renders
+  if (actions) actions.stop();
+  actions = createActionDispatcher();
+  actions.start();
+
   // Initialize theme
   loadStoreData(themeContainer);
 }
 
+/**
+ * Create the theme router
+ * Routes: #/, #/category/:name, #/product/:id, #/cart, #/order, #/order/:orderNumber
+ */
+function createRouter() {
+  return new HashRouter()
+    .on('/', () => showCategory('all'))
+    .on('/category/:name', ({ name }) => showCategory(name))
+    .on('/product/:id', async ({ id }) => {
+      closeOverlays();
+      showCatalog();
+      if (!(await showProductDetail(id))) {
+        router.navigate(lastCatalogPath, { replace: true });
+      }
+    })
+    .on('/cart', () => {
+      closeOverlays();
+      showCatalog();
+      openCart();
+    })
+    .on('/order', () => {
+      closeOverlays();
+      showOrderLookup();
+    })
+    .on('/order/:orderNumber', ({ orderNumber }) => {
+      closeOverlays();
+      showOrderPage(orderNumber);
+    })
+    .otherwise(() => router.navigate('/', { replace: true }));
+}
+
+/**
+ * Create the action dispatcher
+ * Rendered markup declares its handlers with data-action (see scripts/actions.js);
+ * data-* attributes on the element carry the arguments.
+ */
+function createActionDispatcher() {
+  return new ActionDispatcher(document)
+    .on('navigate', (event, el) => navigateTo(el.dataset.path))
+    .on('retry-load', () => retryLoad())
+    .on('dismiss-toast', (event, el) => toasts.dismiss(el.dataset.toastId))
+    .on('set-language', (event, el) => setLanguage(el.value))
+    .on('logo-fallback', (event, el) => showLogoInitials(el))
+    .on('image-loaded', (event, el) => ResponsiveImage.loaded(el))
+    .on('image-fallback', (event, el) => ResponsiveImage.failed(el))
+    .on('filter-submit', event => event.preventDefault())
+    .on('filter-input', event => handleFilterInput(event))
+    .on('remove-filter', (event, el) => removeProductFilter(el.dataset.filter))
+    .on('clear-filters', () => clearProductFilters())
+    .on('load-more-products', () => loadMoreProducts())
+    .on('retry-products', () => loadProducts({ force: true }))
+    .on('add-to-cart', (event, el) => addToCart(el.dataset.productId))
+    .on('close-product-detail', () => closeProductDetail())
+    .on('product-detail-change', (event, el) => updateProductDetailPrice(el.dataset.productId))
+    .on('submit-product-detail', (event, el) => submitProductDetail(event, el.dataset.productId))
+    .on('toggle-cart', () => toggleCart())
+    .on('close-cart', () => closeCart())
+    .on('set-cart-quantity', (event, el) => updateCartQuantity(
+      findCartLineIndex(el.dataset.line),
+      el.dataset.quantity !== undefined ? Number(el.dataset.quantity) : parseInt(el.value, 10)
+    ))
+    .on('remove-cart-item', (event, el) => removeCartItem(findCartLineIndex(el.dataset.line)))
+    .on('clear-cart', () => clearCart())
+    .on('dismiss-cart-notices', () => dismissCartNotices())
+    .on('apply-promo', event => applyPromotionCode(event))
+    .on('remove-promo', () => removePromotionCode())
+    .on('set-delivery-method', (event, el) => setDeliveryMethod(el.value))
+    .on('checkout', () => handleCheckout())
+    .on('close-checkout', () => closeCheckoutModal())
+    .on('submit-checkout', event => submitCheckout(event))
+    .on('checkout-blur', (event, el) => handleCheckoutBlur(event, el))
+    .on('checkout-change', (event, el) => handleCheckoutChange(event, el))
+    .on('order-lookup', event => submitOrderLookup(event))
+    .on('toggle-order-polling', (event, el) => setOrderPolling(el.checked, el.dataset.orderNumber));
+}
+
+/**
+ * Build route paths
+ */
+function categoryPath(name) {
+  return name === 'all' ? '/' : `/category/${encodeURIComponent(name)}`;
+}
+
+function productPath(productId) {
+  return `/product/${encodeURIComponent(productId)}`;
+}
+
+function orderPath(orderNumber) {
+  return `/order/${encodeURIComponent(orderNumber)}`;
+}
+
 /**
  * Load all store data from APIs
  */
@@ -59,37 +269,222 @@ async function loadStoreData(container) {
     showLoading(container);
 
     // Fetch all data in parallel
-    const [store, productsData, categoriesData, promotionsData] = await Promise.all([
+    // The first page of the catalog loads with the store; the rest as the shopper scrolls
+    const productQuery = buildProductQuery();
+    const [store, productsPage, categoriesData, promotionsData, manifest] = await Promise.all([
       api.getStore(),
-      api.getProducts(),
+      api.getProducts({ ...productQuery, limit: PRODUCTS_PAGE_SIZE }),
       api.getCategories(),
-      api.getPromotions().catch(() => []) // Promotions are optional
+      api.getPromotions().catch(() => []), // Promotions are optional
+      loadThemeManifest()
     ]);
 
-    // Store data globally
-    storeData = store;
-    products = productsData;
-    categories = categoriesData;
-    promotions = promotionsData;
+    themeStore.dispatch('storeLoaded', {
+      storeData: store,
+      categories: categoriesData,
+      promotions: promotionsData
+    });
+    themeStore.dispatch('productListRequested', JSON.stringify(productQuery));
+    themeStore.dispatch('productPageLoaded', normalizeProductPage(productsPage));
 
     // Update page title
     if (store.name) {
       document.title = store.name;
     }
 
+    // Apply the store's colors, fonts and layout, and its language
+    applyThemeSettings(manifest);
+    applyLocale();
+
+    // Restore the cart saved before the last reload
+    await restoreCart();
+
     // Initialize custom features (if custom-api.js is included)
     if (window.CustomAPI && typeof window.CustomAPI.initializeCustomFeatures === 'function') {
       window.CustomAPI.initializeCustomFeatures();
     }
 
-    // Render theme
+    // Color the browser toolbar like the store
+    updateThemeColor(manifest);
+
+    // Render theme, then render the page for the current URL
     renderTheme(container);
+    router.start(container);
+
+    // Add items put in the cart while offline during an earlier visit
+    syncOfflineCart();
   } catch (error) {
     console.error('Error loading store data:', error);
-    showError(container, 'Failed to load store data. Please try again later.');
+    showError(container, getErrorMessage(error, 'store.loadFailed', { NotFoundError: 'store.notFound' }));
+  }
+}
+
+/**
+ * Load the theme manifest for its settings schema
+ * If it can't be loaded the theme renders with the stylesheet defaults.
+ * @returns {Promise<Object|null>} Parsed manifest.json
+ */
+async function loadThemeManifest() {
+  try {
+    const response = await fetch(themeManifestUrl);
+    if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    return await response.json();
+  } catch (error) {
+    console.warn('Theme settings unavailable, using defaults:', error);
+    return null;
+  }
+}
+
+/**
+ * Collect the settings a store has chosen
+ * `theme_color` predates `theme_settings` and sets the primary color, with a
+ * darker shade for the header gradient; `theme_settings` values take precedence.
+ * @param {Object} store - Store settings from getStore()
+ * @param {Object} defaults - Default setting values from the manifest
+ * @returns {Object} Flat map of setting key to value
+ */
+function getStoreThemeSettings(store, defaults = {}) {
+  const overrides = {};
+
+  if (store?.theme_color && store.theme_color.toLowerCase() !== String(defaults.primary_color).toLowerCase()) {
+    overrides.primary_color = store.theme_color;
+    const secondary = shadeColor(store.theme_color, -0.25);
+    if (secondary) overrides.secondary_color = secondary;
+  }
+
+  return { ...overrides, ...(store?.theme_settings || {}) };
+}
+
+/**
+ * Resolve the manifest settings against the store's choices and apply them
+ */
+function applyThemeSettings(manifest) {
+  const { storeData } = themeStore.state;
+  if (!manifest?.settings || typeof ThemeSettings === 'undefined') return;
+
+  const settings = ThemeSettings.fromManifest(manifest);
+  const defaults = settings.resolve().values;
+  const { values, warnings } = settings.resolve(getStoreThemeSettings(storeData, defaults));
+  warnings.forEach(warning => console.warn(warning));
+
+  settings.apply(values);
+}
+
+/**
+ * Lighten (positive amount) or darken (negative amount) a hex color
+ * @returns {string|null} Hex color, or null if the input isn't a hex color
+ */
+function shadeColor(hex, amount) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex || '');
+  if (!match) return null;
+
+  const digits = match[1].length === 3
+    ? match[1].split('').map(digit => digit + digit).join('')
+    : match[1];
+
+  return '#' + [0, 2, 4].map(offset => {
+    const channel = parseInt(digits.slice(offset, offset + 2), 16);
+    const target = amount < 0 ? 0 : 255;
+    const shaded = Math.round(channel + (target - channel) * Math.abs(amount));
+    return shaded.toString(16).padStart(2, '0');
+  }).join('');
+}
+
+/**
+ * Localization
+ *
+ * The language is the shopper's choice from the language switcher if they
+ * made one, then the store's `configuration.locale`, then the browser's
+ * languages. `configuration.languages` can limit the languages offered.
+ */
+const LOCALE_STORAGE_PREFIX = 'suchify_locale_';
+
+/**
+ * Translate a message in the active language (see scripts/i18n.js)
+ * @param {string} key - Message key (e.g., "cart.empty")
+ * @param {Object} params - Values for {placeholders}; `count` selects the plural form
+ * @returns {string} Translated text (not HTML-escaped)
+ */
+function t(key, params) {
+  return i18n.t(key, params);
+}
+
+function getLocaleStorageKey() {
+  return `${LOCALE_STORAGE_PREFIX}${currentStoreSlug || 'default'}`;
+}
+
+/**
+ * Get the languages the store offers
+ * @returns {Array<{code: string, name: string}>} Languages with a bundled catalog
+ */
+function getStoreLanguages() {
+  const { storeData } = themeStore.state;
+  const configured = storeData?.configuration?.languages;
+  const languages = I18n.getLanguages();
+  if (!Array.isArray(configured) || configured.length === 0) return languages;
+
+  return languages.filter(language => configured.some(code => I18n.resolveLanguage(code, [language.code])));
+}
+
+/**
+ * Detect the locale and apply it to the page
+ */
+function applyLocale() {
+  const { storeData } = themeStore.state;
+  let saved = null;
+  try {
+    saved = localStorage.getItem(getLocaleStorageKey());
+  } catch (error) {
+    // Storage may be disabled, fall back to the store and browser languages
+  }
+
+  const browserLocales = typeof navigator !== 'undefined'
+    ? (navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language])
+    : [];
+  const candidates = [saved, storeData?.configuration?.locale, ...browserLocales];
+
+  i18n.setLocale(I18n.detectLocale(candidates, getStoreLanguages().map(language => language.code)));
+  i18n.applyToDocument();
+}
+
+/**
+ * Switch the theme language and re-render the current page
+ * @param {string} locale - Language code from the language switcher
+ */
+function setLanguage(locale) {
+  const { storeData } = themeStore.state;
+  try {
+    localStorage.setItem(getLocaleStorageKey(), locale);
+  } catch (error) {
+    console.warn('Could not save language:', error);
+  }
+
+  applyLocale();
+
+  if (storeData && themeContainer) {
+    renderTheme(themeContainer);
+    if (router) router.resolve(true);
   }
 }
 
+/**
+ * Render the language switcher (only when the store offers more than one language)
+ */
+function renderLanguageSwitcher() {
+  const languages = getStoreLanguages();
+  if (languages.length < 2) return '';
+
+  return `
+    <div class="language-switcher">
+      <select aria-label="${escapeHtml(t('language.label'))}" data-action="set-language">
+        ${languages.map(language => `
+          <option value="${escapeHtml(language.code)}" lang="${escapeHtml(language.code)}" ${language.code === i18n.language ? 'selected' : ''}>${escapeHtml(language.name)}</option>
+        `).join('')}
+      </select>
+    </div>
+  `;
+}
+
 /**
  * Show loading state
  */
@@ -97,7 +492,7 @@ function showLoading(container) {
   container.innerHTML = `
     <div class="loading">
       <div class="spinner"></div>
-      <p>Loading store...</p>
+      <p>${escapeHtml(t('store.loading'))}</p>
     </div>
   `;
 }
@@ -108,32 +503,303 @@ function showLoading(container) {
 function showError(container, message) {
   container.innerHTML = `
     <div class="error">
-      <h2>Error</h2>
+      <h2>${escapeHtml(t('common.error'))}</h2>
       <p>${escapeHtml(message)}</p>
-      <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: var(--primary-color); color: white; border: none; border-radius: 8px; cursor: pointer;">
-        Retry
+      <button data-action="retry-load" style="margin-top: 1rem; padding: 0.5rem 1rem; background: var(--primary-color); color: white; border: none; border-radius: 8px; cursor: pointer;">
+        ${escapeHtml(t('common.retry'))}
       </button>
     </div>
   `;
 }
 
+/**
+ * Retry loading the store after an error
+ */
+function retryLoad() {
+  if (themeContainer) {
+    loadStoreData(themeContainer);
+  }
+}
+
+/**
+ * Messages for API errors, by error class (see scripts/api-errors.js)
+ */
+const ERROR_MESSAGES = {
+  NetworkError: 'errors.network',
+  TimeoutError: 'errors.timeout',
+  OutOfStockError: 'errors.outOfStock',
+  NotFoundError: 'errors.notFound'
+};
+
+/**
+ * Get the message to show the shopper for a failed request
+ * @param {Error} error - Error thrown by the API client
+ * @param {string} fallbackKey - Translation key for errors without a specific message
+ * @param {Object<string, string>} messages - Translation keys by error class, overriding ERROR_MESSAGES
+ * @returns {string} Translated message
+ */
+function getErrorMessage(error, fallbackKey, messages = {}) {
+  const key = { ...ERROR_MESSAGES, ...messages }[error?.name];
+  if (key) return t(key);
+
+  // The server writes validation messages for shoppers (e.g., "Size is required")
+  if (error instanceof ValidationError && error.message) return error.message;
+
+  return t(fallbackKey);
+}
+
+/**
+ * Show a toast notification (see scripts/toast.js)
+ * @param {string} message - Message to show
+ * @param {string} type - "info", "success" or "error" (defaults to "info")
+ */
+function showToast(message, type = 'info') {
+  toasts.show(message, { type, closeLabel: t('common.close') });
+}
+
+/**
+ * Offline support
+ *
+ * The service worker (sw.js) keeps the theme and the store's products
+ * available offline. While offline, a banner says so, and items added to the
+ * cart are queued (see scripts/offline.js) and added when the connection is back.
+ */
+const CART_QUEUE_STORAGE_PREFIX = 'suchify_cart_queue_';
+
+/**
+ * Register the service worker (browsers without service workers, or pages not
+ * served over HTTPS or from localhost, work online only)
+ * @param {string} url - Service worker URL
+ */
+function registerServiceWorker(url) {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return;
+
+  navigator.serviceWorker.register(url).catch(error => {
+    console.warn('Service worker not registered, the theme will not work offline:', error);
+  });
+}
+
+/**
+ * Follow the connection: update the banner, and add queued items when it comes back
+ */
+function watchConnectivity() {
+  if (connectivityWatched || typeof window === 'undefined') return;
+  connectivityWatched = true;
+
+  window.addEventListener('offline', () => updateOfflineBanner());
+  window.addEventListener('online', () => {
+    updateOfflineBanner();
+    syncOfflineCart();
+  });
+}
+
+function getCartQueue() {
+  const { storeData } = themeStore.state;
+  const storageKey = `${CART_QUEUE_STORAGE_PREFIX}${currentStoreSlug || storeData?.slug || 'default'}`;
+  if (!cartQueue || cartQueue.storageKey !== storageKey) {
+    cartQueue = new OfflineQueue(storageKey);
+  }
+  return cartQueue;
+}
+
+function renderOfflineBanner() {
+  return `
+    <div class="offline-banner" id="offline-banner" role="status" ${OfflineQueue.offline ? '' : 'hidden'}>
+      ${renderOfflineBannerContent()}
+    </div>
+  `;
+}
+
+function renderOfflineBannerContent() {
+  const pending = getCartQueue().size;
+  return `
+    <p>${escapeHtml(t('offline.banner'))}</p>
+    ${pending > 0 ? `<p class="offline-banner-pending">${escapeHtml(t('offline.pending', { count: pending }))}</p>` : ''}
+  `;
+}
+
+function updateOfflineBanner() {
+  const banner = document.getElementById('offline-banner');
+  if (!banner) return;
+
+  banner.hidden = !OfflineQueue.offline;
+  banner.innerHTML = renderOfflineBannerContent();
+}
+
+/**
+ * Queue an addition to the cart made while offline
+ * @returns {boolean} Always true: the item will be added when the connection is back
+ */
+function queueAddToCart(productId, quantity, variants) {
+  const { products } = themeStore.state;
+  const product = products.find(p => String(p.id) === String(productId));
+
+  getCartQueue().add({ product_id: productId, product_name: product?.name || null, quantity, variants });
+  showToast(t('offline.queued', { name: product?.name || t('offline.item') }));
+  updateOfflineBanner();
+  return true;
+}
+
+/**
+ * Once online, restore the saved cart if that had to wait, then add the queued items
+ */
+async function syncOfflineCart() {
+  if (!api || !themeStore.state.storeData || OfflineQueue.offline) return;
+
+  if (cartRestorePending) {
+    await restoreCart();
+    if (cartRestorePending) return;
+  }
+
+  const queue = getCartQueue();
+  if (queue.size === 0) return;
+
+  const { sent, failed } = await queue.flush(entry => api.addToCart(entry.product_id, entry.quantity, entry.variants || {}));
+  if (sent.length > 0) {
+    themeStore.dispatch('setCart', sent[sent.length - 1].result);
+  }
+  failed.forEach(({ entry, error }) => console.error('Error adding queued item to cart:', entry.product_id, error));
+
+  if (failed.length > 0) {
+    const { entry, error } = failed[0];
+    showToast(t('offline.notAdded', {
+      name: entry.product_name || t('offline.item'),
+      reason: getErrorMessage(error, 'cart.addFailed')
+    }), 'error');
+  } else if (sent.length > 0) {
+    showToast(t('offline.synced', { count: sent.length }), 'success');
+  }
+  updateOfflineBanner();
+}
+
+/**
+ * Color the browser toolbar with the store's primary color
+ * The installed app uses app.webmanifest, which the build writes with the theme's default colors.
+ * @param {Object|null} themeManifest - Theme manifest, for the default color
+ */
+function updateThemeColor(themeManifest) {
+  if (typeof WebAppManifest === 'undefined') return;
+
+  const color = getComputedStyle(document.documentElement).getPropertyValue('--primary-color').trim() ||
+    themeManifest?.settings?.colors?.primary_color?.default;
+  if (color) WebAppManifest.setThemeColor(color);
+}
+
 /**
  * Render the complete theme
  */
 function renderTheme(container) {
+  // The page inside <main> is replaced along with the rest of the theme
+  if (currentPage) {
+    currentPage.unmount();
+    currentPage = null;
+  }
+
   container.innerHTML = `
     ${renderHeader()}
+    ${renderOfflineBanner()}
     ${renderNavigation()}
-    <main>
-      ${renderPromotions()}
-      ${renderProducts()}
-    </main>
+    <main></main>
     ${renderFooter()}
     ${renderCart()}
   `;
 
-  // Attach event listeners
-  attachEventListeners();
+  renderCartItems();
+  mountPage('catalog', createCatalogPage());
+}
+
+/**
+ * Render the catalog page (promotions and product grid)
+ */
+function renderCatalog() {
+  return `
+    ${renderPromotions()}
+    ${renderFilterPanel()}
+    <div id="product-results" aria-live="polite"></div>
+    <div class="product-pager" id="product-pager"></div>
+  `;
+}
+
+/**
+ * Replace the page in <main>, unmounting the current one
+ * @param {string} view - View name ("catalog" or "order")
+ * @param {Component} page - Page component
+ * @param {Object} props - Props for the page
+ */
+function mountPage(view, page, props = {}) {
+  const main = document.querySelector('main');
+  if (!main) return;
+
+  if (currentPage) currentPage.unmount();
+
+  currentView = view;
+  currentPage = page;
+  page.mount(main, props);
+}
+
+/**
+ * Create the catalog page (promotions, filters and product grid)
+ * A pending request is dropped when the page is unmounted and made again when
+ * it's mounted. The pages already loaded are kept, and the shopper returns to
+ * where they were in the list.
+ */
+function createCatalogPage() {
+  return new Component({
+    render: renderCatalog,
+    mount: () => {
+      // Coming back to the catalog keeps the pages already loaded and the scroll position
+      loadProducts();
+
+      if (catalogScrollY !== null && typeof window.scrollTo === 'function') {
+        window.scrollTo(0, catalogScrollY);
+      }
+      catalogScrollY = null;
+    },
+    unmount: () => {
+      catalogScrollY = window.scrollY || 0;
+      cancelProductQuery();
+      productScroll.disconnect();
+    }
+  });
+}
+
+/**
+ * Show the catalog page if another page is currently displayed
+ */
+function showCatalog() {
+  if (currentView !== 'catalog') {
+    mountPage('catalog', createCatalogPage());
+  }
+}
+
+/**
+ * Show products in a category (route handler for "#/" and "#/category/:name")
+ * @param {string} category - Category name, or "all"
+ */
+function showCategory(category) {
+  closeOverlays();
+
+  const categoryChanged = themeStore.dispatch('setCategory', category).includes('currentCategory');
+  lastCatalogPath = categoryPath(category);
+
+  document.querySelectorAll('.category-btn').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.category === category);
+  });
+
+  if (currentView !== 'catalog') {
+    mountPage('catalog', createCatalogPage());
+  } else if (categoryChanged) {
+    // Update the grid in place, keeping loaded images of products in both lists
+    loadProducts();
+  }
+}
+
+/**
+ * Close the product detail view and cart panel without changing the URL
+ */
+function closeOverlays() {
+  removeProductDetail();
+  removeCart();
 }
 
 /**
@@ -160,14 +826,15 @@ function generateInitials(name) {
  * Render header with store info
  */
 function renderHeader() {
+  const { storeData } = themeStore.state;
   // Use store logo if available, otherwise use initials
-  const storeName = storeData.name || 'Store';
+  const storeName = storeData.name || t('store.defaultName');
   const initials = generateInitials(storeName);
   
   let logo = '';
   if (storeData.logo_url) {
     // Store has a logo URL - use it, with fallback to initials on error
-    logo = `<img src="${escapeHtml(storeData.logo_url)}" alt="${escapeHtml(storeName)}" class="logo" onerror="this.style.display='none'; const initialsEl = this.nextElementSibling; if(initialsEl) initialsEl.style.display='flex';">`;
+    logo = `<img src="${escapeHtml(storeData.logo_url)}" alt="${escapeHtml(storeName)}" class="logo" data-action="error:logo-fallback">`;
   }
   
   // Always create initials logo as fallback (hidden if image logo exists and loads successfully)
@@ -189,6 +856,7 @@ function renderHeader() {
       <h1>${escapeHtml(storeName)}</h1>
       ${storeData.description ? `<p class="description">${escapeHtml(storeData.description)}</p>` : ''}
       ${socialLinks}
+      ${renderLanguageSwitcher()}
     </header>
   `;
 }
@@ -197,6 +865,7 @@ function renderHeader() {
  * Render category navigation
  */
 function renderNavigation() {
+  const { categories, currentCategory } = themeStore.state;
   if (!categories || categories.length === 0) {
     return '';
   }
@@ -204,11 +873,11 @@ function renderNavigation() {
   return `
     <nav>
       <div class="category-buttons">
-        <button class="category-btn ${currentCategory === 'all' ? 'active' : ''}" data-category="all">
-          All
+        <button class="category-btn ${currentCategory === 'all' ? 'active' : ''}" data-category="all" data-action="navigate" data-path="${escapeHtml(categoryPath('all'))}">
+          ${escapeHtml(t('nav.all'))}
         </button>
         ${categories.map(cat => `
-          <button class="category-btn ${currentCategory === cat.name ? 'active' : ''}" data-category="${escapeHtml(cat.name)}">
+          <button class="category-btn ${currentCategory === cat.name ? 'active' : ''}" data-category="${escapeHtml(cat.name)}" data-action="navigate" data-path="${escapeHtml(categoryPath(cat.name))}">
             ${escapeHtml(cat.name)} (${cat.product_count || 0})
           </button>
         `).join('')}
@@ -221,18 +890,19 @@ function renderNavigation() {
  * Render promotions banner
  */
 function renderPromotions() {
+  const { promotions } = themeStore.state;
   if (!promotions || promotions.length === 0) {
     return '';
   }
 
   return `
     <div class="promotions">
-      <h3 style="margin-bottom: 0.5rem;">Special Offers</h3>
+      <h3 style="margin-bottom: 0.5rem;">${escapeHtml(t('promotions.title'))}</h3>
       ${promotions.map(promo => `
         <div class="promotion-item">
           <strong>${escapeHtml(promo.name)}</strong>
           <span>${escapeHtml(promo.description || '')}</span>
-          ${promo.code ? `<br><small>Use code: <strong>${escapeHtml(promo.code)}</strong></small>` : ''}
+          ${promo.code ? `<br><small>${i18n.html('promotions.useCode', { code: `<strong>${escapeHtml(promo.code)}</strong>` })}</small>` : ''}
         </div>
       `).join('')}
     </div>
@@ -240,71 +910,587 @@ function renderPromotions() {
 }
 
 /**
- * Render products grid
+ * Render the product grid into #product-results
+ * Cards are keyed by product ID, so only the cards of products that were
+ * added, removed, moved or changed are touched (see scripts/keyed-list.js).
+ * @returns {Object|null} DOM operations performed, or null when an empty state was shown
  */
 function renderProducts() {
-  const filteredProducts = currentCategory === 'all'
-    ? products
-    : products.filter(p => p.category === currentCategory);
+  const results = document.getElementById('product-results');
+  if (!results) return null;
 
-  if (filteredProducts.length === 0) {
-    return `
-      <div class="text-center" style="padding: 3rem;">
-        <h2>No products found</h2>
-        <p>${currentCategory === 'all' ? 'This store has no products yet.' : `No products in the "${currentCategory}" category.`}</p>
-      </div>
-    `;
+  updateProductPager();
+
+  const { productList } = themeStore.state;
+  if (productList.status === 'failed') {
+    results.innerHTML = renderProductsError();
+    return null;
+  }
+
+  const visibleProducts = getVisibleProducts();
+  if (visibleProducts.length === 0) {
+    results.innerHTML = productList.status === 'loaded' ? renderEmptyProducts() : renderProductsLoading();
+    return null;
+  }
+
+  let grid = results.firstElementChild;
+  if (!grid || !grid.classList.contains('products') || results.childNodes.length !== 1) {
+    results.innerHTML = '<div class="products"></div>';
+    grid = results.firstElementChild;
   }
 
+  return KeyedList.reconcile(grid, visibleProducts.map(product => ({
+    key: String(product.id),
+    html: renderProduct(product)
+  })));
+}
+
+/**
+ * Render the messages shown while the first page loads, or when it couldn't be loaded
+ */
+function renderProductsLoading() {
+  return `
+    <div class="loading products-loading" role="status">
+      <div class="spinner"></div>
+      <p>${escapeHtml(t('products.loading'))}</p>
+    </div>
+  `;
+}
+
+function renderProductsError() {
   return `
-    <div class="products">
-      ${filteredProducts.map(product => renderProduct(product)).join('')}
+    <div class="error">
+      <p>${escapeHtml(getErrorMessage(themeStore.state.productList.error, hasActiveFilters() ? 'filters.searchFailed' : 'products.loadFailed'))}</p>
+      <button type="button" class="retry-btn" data-action="retry-products">${escapeHtml(t('common.retry'))}</button>
     </div>
   `;
 }
 
 /**
- * Render single product card
+ * Render the controls after the product grid: a "Load more" button with the
+ * sentinel that loads the next page on scroll, or the loading and error states
  */
-function renderProduct(product) {
-  // Create a data URI for placeholder image (SVG) - URL encoded
-  const placeholderImage = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='300' height='200'%3E%3Crect width='300' height='200' fill='%23f9fafb'/%3E%3Ctext x='50%25' y='50%25' dominant-baseline='middle' text-anchor='middle' font-family='Arial, sans-serif' font-size='14' fill='%236b7280'%3ENo Image%3C/text%3E%3C/svg%3E";
-  
-  // Generate unique ID for this image to prevent infinite loops
-  const imageId = `product-img-${product.id}-${Date.now()}`;
-  
-  // Use a simpler approach - directly use placeholder if no URL, or use proper error handling
-  const image = product.image_url 
-    ? `<img id="${imageId}" src="${escapeHtml(product.image_url)}" alt="${escapeHtml(product.name)}" class="product-image" loading="lazy" decoding="async" onerror="if(!this.dataset.fallbackSet){this.dataset.fallbackSet='true';this.onerror=null;this.src='${placeholderImage.replace(/'/g, "\\'")}';}">`
-    : `<img src="${placeholderImage}" alt="No image available" class="product-image">`;
+function renderProductPager() {
+  const { productList } = themeStore.state;
+  const shown = productList.items.length;
+  if (shown === 0 || !['loaded', 'loadingMore', 'moreFailed'].includes(productList.status)) return '';
 
-  const tags = product.tags && product.tags.length > 0
-    ? `<div class="product-tags">
-        ${product.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
-       </div>`
+  const count = productList.next && productList.total !== null
+    ? `<p class="product-pager-count">${escapeHtml(t('products.showing', { shown, total: productList.total }))}</p>`
     : '';
 
-  const availability = product.is_available && (product.stock_quantity === null || product.stock_quantity > 0)
-    ? ''
-    : 'disabled';
+  if (productList.status === 'loadingMore') {
+    return `
+      ${count}
+      <div class="product-pager-loading" role="status">
+        <div class="spinner"></div>
+        <span>${escapeHtml(t('products.loadingMore'))}</span>
+      </div>
+    `;
+  }
 
-  const price = formatPrice(product.price, storeData.configuration?.currency || 'USD');
+  if (productList.status === 'moreFailed') {
+    return `
+      ${count}
+      <p class="product-pager-error" role="alert">${escapeHtml(getErrorMessage(productList.error, 'products.loadMoreFailed'))}</p>
+      <button type="button" class="load-more-btn" data-action="load-more-products">${escapeHtml(t('common.retry'))}</button>
+    `;
+  }
+
+  if (!productList.next) return '';
+
+  return `
+    ${count}
+    <button type="button" class="load-more-btn" data-action="load-more-products">${escapeHtml(t('products.loadMore'))}</button>
+    <div class="product-pager-sentinel" id="product-pager-sentinel" aria-hidden="true"></div>
+  `;
+}
+
+/**
+ * Render the message shown when no products are visible
+ */
+function renderEmptyProducts() {
+  const { currentCategory } = themeStore.state;
+  if (hasActiveFilters()) {
+    return `
+      <div class="text-center" style="padding: 3rem;">
+        <h2>${escapeHtml(t('products.emptyTitle'))}</h2>
+        <p>${escapeHtml(t('products.noMatches'))}</p>
+        <button type="button" class="clear-filters-btn mt-2" data-action="clear-filters">${escapeHtml(t('filters.clear'))}</button>
+      </div>
+    `;
+  }
+
+  return `
+    <div class="text-center" style="padding: 3rem;">
+      <h2>${escapeHtml(t('products.emptyTitle'))}</h2>
+      <p>${escapeHtml(currentCategory === 'all' ? t('products.storeEmpty') : t('products.categoryEmpty', { category: currentCategory }))}</p>
+    </div>
+  `;
+}
+
+/**
+ * Get the loaded products to display, in the selected sort order
+ * The server sorts the list; sorting the loaded products again keeps the
+ * order right with API clients that ignore `sort`.
+ */
+function getVisibleProducts() {
+  const { productList, productFilters } = themeStore.state;
+  const visible = [...productList.items];
+
+  switch (productFilters.sort) {
+    case 'price_asc':
+      return visible.sort((a, b) => a.price - b.price);
+    case 'price_desc':
+      return visible.sort((a, b) => b.price - a.price);
+    case 'name_asc':
+      return visible.sort((a, b) => a.name.localeCompare(b.name));
+    default:
+      return visible;
+  }
+}
+
+/**
+ * Product search and filters
+ *
+ * The category, search, price range, stock filter and sort order are sent to
+ * getProducts so the server does the filtering, and products are loaded a
+ * page at a time (see loadProducts and loadMoreProducts).
+ */
+const SEARCH_DEBOUNCE_MS = 300;
+const PRODUCTS_PAGE_SIZE = 24;
+const PRODUCT_LOOKUP_PAGE_SIZE = 100;
+// The API can't fetch a product by ID, so a linked product is looked for in this many pages at most
+const PRODUCT_LOOKUP_MAX_PAGES = 5;
+
+// Loads the next page when the end of the product grid scrolls into view
+const productScroll = new InfiniteScroll(() => loadMoreProducts());
+
+const PRODUCT_SORT_OPTIONS = [
+  { value: 'default', labelKey: 'sort.featured' },
+  { value: 'price_asc', labelKey: 'sort.priceAsc' },
+  { value: 'price_desc', labelKey: 'sort.priceDesc' },
+  { value: 'name_asc', labelKey: 'sort.nameAsc' }
+];
+
+/**
+ * Check whether any server-side product filter is active
+ */
+function hasActiveFilters() {
+  const { productFilters } = themeStore.state;
+  return Boolean(
+    productFilters.search ||
+    productFilters.min_price !== '' ||
+    productFilters.max_price !== '' ||
+    productFilters.in_stock
+  );
+}
+
+/**
+ * Build the getProducts filters object from the current filter state
+ */
+function buildProductQuery() {
+  const { currentCategory, productFilters } = themeStore.state;
+  const query = {};
+  if (currentCategory !== 'all') query.category = currentCategory;
+  if (productFilters.search) query.search = productFilters.search;
+  if (productFilters.min_price !== '') query.min_price = Number(productFilters.min_price);
+  if (productFilters.max_price !== '') query.max_price = Number(productFilters.max_price);
+  if (productFilters.in_stock) query.in_stock = true;
+  if (productFilters.sort !== 'default') query.sort = productFilters.sort;
+  return query;
+}
+
+/**
+ * Render search, price range, stock and sort controls
+ */
+function renderFilterPanel() {
+  const { storeData, productFilters } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+
+  return `
+    <form class="product-filters" id="product-filters" role="search" data-action="submit:filter-submit input:filter-input change:filter-input">
+      <div class="filter-field filter-search">
+        <label for="filter_search">${escapeHtml(t('filters.search'))}</label>
+        <input type="search" id="filter_search" name="search" placeholder="${escapeHtml(t('filters.searchPlaceholder'))}" value="${escapeHtml(productFilters.search)}" autocomplete="off">
+      </div>
+      <div class="filter-field filter-price">
+        <label for="filter_min_price">${escapeHtml(t('filters.price', { currency }))}</label>
+        <div class="filter-price-inputs">
+          <input type="number" id="filter_min_price" name="min_price" placeholder="${escapeHtml(t('filters.min'))}" min="0" step="any" value="${escapeHtml(productFilters.min_price)}" aria-label="${escapeHtml(t('filters.minPrice'))}">
+          <span>–</span>
+          <input type="number" id="filter_max_price" name="max_price" placeholder="${escapeHtml(t('filters.max'))}" min="0" step="any" value="${escapeHtml(productFilters.max_price)}" aria-label="${escapeHtml(t('filters.maxPrice'))}">
+        </div>
+      </div>
+      <div class="filter-field filter-stock">
+        <label>
+          <input type="checkbox" name="in_stock" ${productFilters.in_stock ? 'checked' : ''}>
+          ${escapeHtml(t('filters.inStock'))}
+        </label>
+      </div>
+      <div class="filter-field filter-sort">
+        <label for="filter_sort">${escapeHtml(t('filters.sortBy'))}</label>
+        <select id="filter_sort" name="sort">
+          ${PRODUCT_SORT_OPTIONS.map(option => `
+            <option value="${option.value}" ${productFilters.sort === option.value ? 'selected' : ''}>${escapeHtml(t(option.labelKey))}</option>
+          `).join('')}
+        </select>
+      </div>
+    </form>
+    <div class="active-filters" id="active-filters">
+      ${renderActiveFilters()}
+    </div>
+  `;
+}
+
+/**
+ * Render chips for the active filters
+ */
+function renderActiveFilters() {
+  const { storeData, productFilters } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+  const chips = [];
+
+  if (productFilters.search) {
+    chips.push({ key: 'search', label: t('filters.chipSearch', { search: productFilters.search }) });
+  }
+  if (productFilters.min_price !== '') {
+    chips.push({ key: 'min_price', label: t('filters.chipMin', { price: formatPrice(Number(productFilters.min_price), currency) }) });
+  }
+  if (productFilters.max_price !== '') {
+    chips.push({ key: 'max_price', label: t('filters.chipMax', { price: formatPrice(Number(productFilters.max_price), currency) }) });
+  }
+  if (productFilters.in_stock) {
+    chips.push({ key: 'in_stock', label: t('filters.inStock') });
+  }
+
+  if (chips.length === 0) return '';
+
+  const { productList } = themeStore.state;
+  let countText = '';
+  if (productList.status === 'loading') {
+    countText = t('filters.searching');
+  } else if (productList.status !== 'failed') {
+    countText = t('filters.resultCount', { count: productList.total ?? getVisibleProducts().length });
+  }
+
+  return `
+    <span class="results-count">${escapeHtml(countText)}</span>
+    ${chips.map(chip => `
+      <button type="button" class="filter-chip" data-action="remove-filter" data-filter="${chip.key}" aria-label="${escapeHtml(t('filters.remove', { label: chip.label }))}">
+        ${escapeHtml(chip.label)} <span aria-hidden="true">×</span>
+      </button>
+    `).join('')}
+    <button type="button" class="clear-filters-btn" data-action="clear-filters">${escapeHtml(t('filters.clearAll'))}</button>
+  `;
+}
+
+/**
+ * Handle input in the filter panel
+ * Typing in the search box is debounced; other controls apply immediately.
+ */
+const debouncedFilterSearch = debounce(() => loadProducts(), SEARCH_DEBOUNCE_MS);
+
+function handleFilterInput(event) {
+  const form = document.getElementById('product-filters');
+  if (!form) return;
+
+  // Text and number inputs fire both input and change events, only react to input
+  if (event.type === 'change' && ['search', 'number'].includes(event.target.type)) return;
+
+  const formData = new FormData(form);
+  const next = {
+    search: (formData.get('search') || '').trim(),
+    min_price: formData.get('min_price') || '',
+    max_price: formData.get('max_price') || '',
+    in_stock: formData.get('in_stock') === 'on',
+    sort: formData.get('sort') || 'default'
+  };
+
+  // Ignore an inverted price range until the shopper finishes typing it
+  const invalidRange = next.min_price !== '' && next.max_price !== '' && Number(next.min_price) > Number(next.max_price);
+  form.classList.toggle('invalid-range', invalidRange);
+  if (invalidRange) return;
+
+  const { productFilters } = themeStore.state;
+  const changed = Object.keys(next).filter(key => next[key] !== productFilters[key]);
+  if (changed.length === 0) return;
+
+  themeStore.dispatch('setProductFilters', next);
+
+  // Typing in the search box waits for a pause; other changes load right away
+  if (changed.length === 1 && changed[0] === 'search' && next.search) {
+    updateActiveFilters();
+    debouncedFilterSearch();
+  } else {
+    loadProducts();
+  }
+}
+
+/**
+ * Remove a single filter
+ * @param {string} key - Filter key ("search", "min_price", "max_price" or "in_stock")
+ */
+function removeProductFilter(key) {
+  themeStore.dispatch('setProductFilters', { [key]: key === 'in_stock' ? false : '' });
+  syncFilterPanel();
+  loadProducts();
+}
+
+/**
+ * Remove all filters (the sort order is kept)
+ */
+function clearProductFilters() {
+  themeStore.dispatch('setProductFilters', { search: '', min_price: '', max_price: '', in_stock: false });
+  syncFilterPanel();
+  loadProducts();
+}
+
+/**
+ * Update the filter panel inputs from the filter state
+ */
+function syncFilterPanel() {
+  const { productFilters } = themeStore.state;
+  const form = document.getElementById('product-filters');
+  if (!form) return;
+
+  form.elements.search.value = productFilters.search;
+  form.elements.min_price.value = productFilters.min_price;
+  form.elements.max_price.value = productFilters.max_price;
+  form.elements.in_stock.checked = productFilters.in_stock;
+  form.elements.sort.value = productFilters.sort;
+  form.classList.remove('invalid-range');
+}
+
+/**
+ * Load the first page of products for the current category and filters
+ * Does nothing when that list is already loaded or loading, unless forced.
+ * A new list aborts the request for the previous one.
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Reload even if the list is already loaded
+ */
+function loadProducts({ force = false } = {}) {
+  const query = buildProductQuery();
+  const key = JSON.stringify(query);
+  const { productList } = themeStore.state;
+
+  if (!force && productList.query === key && !['idle', 'failed'].includes(productList.status)) {
+    updateProductResults();
+    return;
+  }
+
+  cancelProductQuery();
+  themeStore.dispatch('productListRequested', key);
+  updateProductResults();
+  fetchProductPage(query, {});
+}
+
+/**
+ * Load the next page of the current product list, if there is one
+ */
+function loadMoreProducts() {
+  const { productList } = themeStore.state;
+  if (!productList.next || !['loaded', 'moreFailed'].includes(productList.status)) return;
+
+  themeStore.dispatch('productPageRequested');
+  updateProductPager();
+  fetchProductPage(JSON.parse(productList.query), productList.next);
+}
+
+/**
+ * Fetch one page of products and add it to the product list
+ * Late responses for a list that was replaced or cancelled are ignored.
+ * @param {Object} query - Product query from buildProductQuery
+ * @param {Object} next - Page to fetch ({ cursor } or { page }; empty for the first page)
+ */
+async function fetchProductPage(query, next) {
+  const queryId = productQueryId;
+  const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+  productQueryController = controller;
+
+  try {
+    const response = await api.getProducts({ ...query, limit: PRODUCTS_PAGE_SIZE, ...next }, { signal: controller?.signal });
+    if (queryId !== productQueryId) return;
+
+    themeStore.dispatch('productPageLoaded', normalizeProductPage(response));
+  } catch (error) {
+    if (queryId !== productQueryId || error.name === 'AbortError') return;
+
+    console.error('Error loading products:', error);
+    themeStore.dispatch('productPageFailed', error);
+  } finally {
+    if (queryId === productQueryId) {
+      productQueryController = null;
+    }
+  }
+
+  updateProductResults();
+}
+
+/**
+ * Turn a getProducts response into { products, total, next }
+ * Accepts a plain array (an API without paging) or a page object, which
+ * points to the next page with `next_cursor` or with `page`, `limit` and `total`.
+ * @param {Array|Object} response - getProducts response
+ * @returns {Object} Page with its products, the list's total and the next page to fetch (or null)
+ */
+function normalizeProductPage(response) {
+  if (Array.isArray(response)) {
+    return { products: response, total: response.length, next: null };
+  }
+
+  const products = Array.isArray(response?.products) ? response.products : [];
+  const total = Number.isFinite(response?.total) ? response.total : null;
+  let next = null;
+
+  if (response?.next_cursor) {
+    next = { cursor: response.next_cursor };
+  } else if (response?.page && response?.limit && total !== null && response.page * response.limit < total) {
+    next = { page: response.page + 1 };
+  }
+
+  // An empty page means the list ended, whatever the response says
+  return { products, total, next: products.length > 0 ? next : null };
+}
+
+/**
+ * Merge products into a list by ID, keeping its order
+ * Products already in the list are replaced with the newer copy; new ones are added at the end.
+ * @param {Array} existing - Current products
+ * @param {Array} incoming - Products to merge in
+ * @returns {Array} Merged products (the existing array when nothing was added)
+ */
+function mergeProducts(existing, incoming) {
+  if (!incoming || incoming.length === 0) return existing;
+
+  const incomingById = new Map(incoming.map(product => [String(product.id), product]));
+  const merged = existing.map(product => {
+    const key = String(product.id);
+    if (!incomingById.has(key)) return product;
+
+    const updated = incomingById.get(key);
+    incomingById.delete(key);
+    return updated;
+  });
+
+  return merged.concat([...incomingById.values()]);
+}
+
+/**
+ * Cancel the pending product request or debounced search; a response that
+ * still arrives is ignored
+ */
+function cancelProductQuery() {
+  debouncedFilterSearch.cancel();
+
+  if (productQueryController) {
+    productQueryController.abort();
+    productQueryController = null;
+    themeStore.dispatch('productPageCancelled');
+  }
+
+  productQueryId += 1;
+}
+
+/**
+ * Re-render the product grid, pager and active filter chips
+ */
+function updateProductResults() {
+  renderProducts();
+  document.getElementById('product-results')?.classList.toggle('is-loading', themeStore.state.productList.status === 'loading');
+  updateActiveFilters();
+}
+
+function updateActiveFilters() {
+  const activeFilters = document.getElementById('active-filters');
+  if (activeFilters) {
+    activeFilters.innerHTML = renderActiveFilters();
+  }
+}
+
+function updateProductPager() {
+  const pager = document.getElementById('product-pager');
+  if (!pager) return;
+
+  pager.innerHTML = renderProductPager();
+  productScroll.observe(document.getElementById('product-pager-sentinel'));
+}
+
+// Shown for products without an image, or whose image fails to load (SVG data URI)
+const PRODUCT_PLACEHOLDER_IMAGE = "data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='300' height='200'%3E%3Crect width='300' height='200' fill='%23f9fafb'/%3E%3Ctext x='50%25' y='50%25' dominant-baseline='middle' text-anchor='middle' font-family='Arial, sans-serif' font-size='14' fill='%236b7280'%3ENo Image%3C/text%3E%3C/svg%3E";
+
+// Widths the product images are shown at, so browsers pick a size variant (see .products and .product-detail in main.css)
+const PRODUCT_IMAGE_SIZES = '(max-width: 480px) 100vw, 420px';
+const PRODUCT_DETAIL_IMAGE_SIZES = '(max-width: 640px) 100vw, 600px';
+
+/**
+ * A product's image, as ResponsiveImage.render() takes it
+ * The API can send the image's size, resized copies, a dominant color and a
+ * tiny preview along with image_url (see PARTNER_API_QUICK_REFERENCE.md).
+ */
+function getProductImage(product) {
+  return {
+    url: product.image_url,
+    width: product.image_width,
+    height: product.image_height,
+    variants: product.image_variants,
+    color: product.image_color,
+    placeholder: product.image_placeholder
+  };
+}
+
+/**
+ * Render single product card
+ */
+function renderProduct(product) {
+  const { storeData } = themeStore.state;
+  // The markup only depends on the product, so unchanged cards (and their loaded images) are kept on re-render
+  const image = product.image_url
+    ? ResponsiveImage.render(getProductImage(product), {
+      alt: product.name,
+      sizes: PRODUCT_IMAGE_SIZES,
+      className: 'product-image',
+      fallback: PRODUCT_PLACEHOLDER_IMAGE
+    })
+    : ResponsiveImage.render({ url: PRODUCT_PLACEHOLDER_IMAGE, width: 300, height: 200 }, {
+      alt: t('product.noImage'),
+      className: 'product-image'
+    });
+  const detailHref = escapeHtml(HashRouter.href(productPath(product.id)));
+
+  const tags = product.tags && product.tags.length > 0
+    ? `<div class="product-tags">
+        ${product.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+       </div>`
+    : '';
+
+  const availability = product.is_available && (product.stock_quantity === null || product.stock_quantity > 0)
+    ? ''
+    : 'disabled';
+
+  // Products with option groups need a selection first, so the card opens the detail view
+  const hasVariants = getVariantGroups(product).length > 0;
+  const price = formatPrice(hasVariants ? calculateLowestVariantPrice(product) : product.price, storeData.configuration?.currency || 'USD');
+  const buttonAction = hasVariants
+    ? `data-action="navigate" data-path="${escapeHtml(productPath(product.id))}"`
+    : 'data-action="add-to-cart"';
+  const buttonLabel = hasVariants ? t('product.chooseOptions') : t('product.addToCart');
 
   return `
     <div class="product">
-      ${image}
+      <a href="${detailHref}" class="product-link" tabindex="-1">${image}</a>
       <div class="product-info">
-        <h3 class="product-name">${escapeHtml(product.name)}</h3>
+        <h3 class="product-name"><a href="${detailHref}" class="product-link">${escapeHtml(product.name)}</a></h3>
         ${product.description ? `<p class="product-description">${escapeHtml(product.description)}</p>` : ''}
         ${tags}
-        <div class="product-price">${price}</div>
+        <div class="product-price">${escapeHtml(hasVariants ? t('product.fromPrice', { price }) : price)}</div>
         <button 
           class="add-to-cart-btn" 
           ${availability}
-          onclick="addToCart('${product.id}')"
-          data-product-id="${product.id}"
+          ${buttonAction}
+          data-product-id="${escapeHtml(product.id)}"
         >
-          ${availability ? 'Out of Stock' : 'Add to Cart'}
+          ${escapeHtml(availability ? t('product.outOfStock') : buttonLabel)}
         </button>
       </div>
     </div>
@@ -312,297 +1498,1745 @@ function renderProduct(product) {
 }
 
 /**
- * Render footer
+ * Get variant option groups for a product
+ * @param {Object} product - Product from the API
+ * @returns {Array} Option groups (e.g., [{ name: 'size', label: 'Size', required: true, options: [...] }])
+ */
+function getVariantGroups(product) {
+  return Array.isArray(product?.variants) ? product.variants : [];
+}
+
+/**
+ * Check whether a variant option can still be ordered
+ */
+function isVariantOptionAvailable(option) {
+  if (option.is_available === false) return false;
+  return option.stock_quantity === null || option.stock_quantity === undefined || option.stock_quantity > 0;
+}
+
+/**
+ * Read the selected variants from the product detail form
+ * @returns {Object} Variants keyed by group name (e.g., { size: 'large', toppings: ['olives'] })
+ */
+function getSelectedVariants(form, product) {
+  const formData = new FormData(form);
+  const selected = {};
+
+  getVariantGroups(product).forEach(group => {
+    if (group.multiple) {
+      const values = formData.getAll(`variant_${group.name}`);
+      if (values.length > 0) selected[group.name] = values;
+    } else {
+      const value = formData.get(`variant_${group.name}`);
+      if (value) selected[group.name] = value;
+    }
+  });
+
+  return selected;
+}
+
+/**
+ * Validate a variant selection against the product's option groups
+ * @returns {Array<string>} Error messages (empty when the selection is valid)
+ */
+function validateVariantSelection(product, selected) {
+  const errors = [];
+
+  getVariantGroups(product).forEach(group => {
+    const label = group.label || group.name;
+    const value = selected[group.name];
+    const values = value === undefined ? [] : [].concat(value);
+
+    if (group.required && values.length === 0) {
+      errors.push(t('variants.required', { label }));
+      return;
+    }
+
+    if (group.multiple && group.max_selections && values.length > group.max_selections) {
+      errors.push(t('variants.maxSelections', { count: group.max_selections, label }));
+    }
+
+    values.forEach(v => {
+      const option = (group.options || []).find(o => o.value === v);
+      if (!option) {
+        errors.push(t('variants.invalid', { label }));
+      } else if (!isVariantOptionAvailable(option)) {
+        errors.push(t('variants.optionOutOfStock', { option: option.label || option.value }));
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Calculate unit price including the price deltas of the selected variants
+ */
+function calculateVariantPrice(product, selected) {
+  return getVariantGroups(product).reduce((price, group) => {
+    const values = selected[group.name] === undefined ? [] : [].concat(selected[group.name]);
+    return values.reduce((sum, v) => {
+      const option = (group.options || []).find(o => o.value === v);
+      return sum + (option?.price_delta || 0);
+    }, price);
+  }, product.price);
+}
+
+/**
+ * Most of a product that can be ordered with the selected variants: the
+ * lowest stock of the product and its selected options
+ * @returns {number|null} Stock, or null when none of them tracks stock
+ */
+function calculateVariantStock(product, selected) {
+  const stocks = getVariantGroups(product).flatMap(group => {
+    const values = selected[group.name] === undefined ? [] : [].concat(selected[group.name]);
+    return values.map(v => (group.options || []).find(o => o.value === v)?.stock_quantity);
+  });
+  stocks.push(product.stock_quantity);
+
+  const tracked = stocks.filter(stock => typeof stock === 'number');
+  return tracked.length > 0 ? Math.min(...tracked) : null;
+}
+
+/**
+ * Lowest unit price a product can be ordered at: the cheapest available
+ * option of each required group, plus any options that lower the price
+ */
+function calculateLowestVariantPrice(product) {
+  return getVariantGroups(product).reduce((price, group) => {
+    const deltas = (group.options || [])
+      .filter(isVariantOptionAvailable)
+      .map(option => option.price_delta || 0)
+      .sort((a, b) => a - b);
+    if (deltas.length === 0) return price;
+
+    // Multiple-choice groups can take every discounted option, up to their limit
+    const limit = group.multiple ? (group.max_selections || deltas.length) : 1;
+    const discounts = deltas.filter(delta => delta < 0).slice(0, limit);
+    if (discounts.length > 0) {
+      return price + discounts.reduce((sum, delta) => sum + delta, 0);
+    }
+    return price + (group.required ? deltas[0] : 0);
+  }, product.price);
+}
+
+/**
+ * Format a variants object for display (e.g., "Size: Large, Toppings: Olives")
+ * @param {Object} variants - Variants keyed by group name
+ * @param {Object} product - Optional product, used to resolve group and option labels
+ */
+function formatVariants(variants, product) {
+  if (!variants || Object.keys(variants).length === 0) return '';
+
+  const groups = getVariantGroups(product);
+  return Object.entries(variants).map(([name, value]) => {
+    const group = groups.find(g => g.name === name);
+    const labels = [].concat(value).map(v => {
+      const option = group?.options?.find(o => o.value === v);
+      return option?.label || v;
+    });
+    return `${group?.label || name}: ${labels.join(', ')}`;
+  }).join(' · ');
+}
+
+/**
+ * Render a variant option group for the product detail view
+ */
+function renderVariantGroup(group) {
+  const { storeData } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+  const inputType = group.multiple ? 'checkbox' : 'radio';
+  const label = group.label || group.name;
+  const hint = group.multiple && group.max_selections ? ` ${t('variants.upTo', { count: group.max_selections })}` : '';
+
+  const options = (group.options || []).map(option => {
+    const available = isVariantOptionAvailable(option);
+    const delta = option.price_delta
+      ? `<span class="variant-delta">${option.price_delta > 0 ? '+' : '−'}${formatPrice(Math.abs(option.price_delta), currency)}</span>`
+      : '';
+    let stock = '';
+    if (!available) {
+      stock = `<span class="variant-stock out">${escapeHtml(t('variants.outOfStock'))}</span>`;
+    } else if (typeof option.stock_quantity === 'number' && option.stock_quantity <= 5) {
+      stock = `<span class="variant-stock low">${escapeHtml(t('variants.onlyLeft', { count: option.stock_quantity }))}</span>`;
+    }
+
+    return `
+      <label class="variant-option ${available ? '' : 'disabled'}">
+        <input 
+          type="${inputType}" 
+          name="variant_${escapeHtml(group.name)}" 
+          value="${escapeHtml(option.value)}"
+          ${available ? '' : 'disabled'}
+          ${option.default && available ? 'checked' : ''}
+        >
+        <span class="variant-label">${escapeHtml(option.label || option.value)}</span>
+        ${delta}
+        ${stock}
+      </label>
+    `;
+  }).join('');
+
+  return `
+    <fieldset class="variant-group" data-group="${escapeHtml(group.name)}">
+      <legend>${escapeHtml(label)}${group.required ? ' *' : ''}${escapeHtml(hint)}</legend>
+      <div class="variant-options">${options}</div>
+    </fieldset>
+  `;
+}
+
+/**
+ * Show product detail view with variant selection
+ * A product that isn't loaded yet (a link to a later page of the catalog) is fetched first.
+ * @param {string} productId - Product ID
+ * @returns {Promise<boolean>} Whether the product was found
+ */
+async function showProductDetail(productId) {
+  const path = router?.currentPath;
+  const product = themeStore.state.products.find(p => String(p.id) === String(productId)) ||
+    await loadProduct(productId);
+
+  // The shopper went elsewhere while the product was loading
+  if (router && router.currentPath !== path) return true;
+
+  if (!product) {
+    console.error('Product not found:', productId);
+    return false;
+  }
+
+  // Only one detail view at a time
+  removeProductDetail();
+
+  productDetailView = new Dialog({
+    render: () => renderProductDetail(product),
+    mount: () => updateProductDetailPrice(product.id),
+    labelledBy: 'product-detail-title',
+    className: 'product-detail-overlay',
+    onDismiss: () => closeProductDetail()
+  }).open();
+
+  themeEvents.emit('product:viewed', { product });
+  return true;
+}
+
+/**
+ * Find a product that isn't loaded yet by paging through the catalog
+ * Gives up after PRODUCT_LOOKUP_MAX_PAGES pages and tells the shopper it wasn't found.
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} The product, or null if it wasn't found or couldn't be loaded
+ */
+async function loadProduct(productId) {
+  let next = {};
+
+  try {
+    for (let pages = 0; next && pages < PRODUCT_LOOKUP_MAX_PAGES; pages++) {
+      const page = normalizeProductPage(await api.getProducts({ limit: PRODUCT_LOOKUP_PAGE_SIZE, ...next }));
+      themeStore.dispatch('productsReceived', page.products);
+
+      const product = page.products.find(p => String(p.id) === String(productId));
+      if (product) return product;
+      next = page.next;
+    }
+  } catch (error) {
+    console.error('Error loading product:', error);
+    showToast(getErrorMessage(error, 'products.loadFailed'), 'error');
+    return null;
+  }
+
+  showToast(t('products.notFound'), 'error');
+  return null;
+}
+
+/**
+ * Remove the product detail view without changing the URL
+ */
+function removeProductDetail() {
+  if (productDetailView) {
+    productDetailView.unmount();
+    productDetailView = null;
+  }
+}
+
+/**
+ * Render the product detail view
+ */
+function renderProductDetail(product) {
+  const { storeData } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+  const available = product.is_available && (product.stock_quantity === null || product.stock_quantity > 0);
+  const groups = getVariantGroups(product);
+  const maxQuantity = typeof product.stock_quantity === 'number' ? product.stock_quantity : '';
+
+  return `
+    <div class="modal product-detail">
+      <div class="modal-header">
+        <h2 id="product-detail-title">${escapeHtml(product.name)}</h2>
+        <button class="close-cart" data-action="close-product-detail" aria-label="${escapeHtml(t('common.close'))}">×</button>
+      </div>
+      <div class="modal-body">
+        ${product.image_url ? ResponsiveImage.render(getProductImage(product), {
+          alt: product.name,
+          sizes: PRODUCT_DETAIL_IMAGE_SIZES,
+          className: 'product-detail-image',
+          loading: 'eager',
+          fallback: PRODUCT_PLACEHOLDER_IMAGE
+        }) : ''}
+        ${product.description ? `<p class="product-description">${escapeHtml(product.description)}</p>` : ''}
+        ${typeof product.stock_quantity === 'number' && available ? `<p class="product-stock">${escapeHtml(t('product.inStock', { count: product.stock_quantity }))}</p>` : ''}
+        <form id="product-detail-form" data-action="submit:submit-product-detail change:product-detail-change" data-product-id="${escapeHtml(product.id)}">
+          ${groups.map(group => renderVariantGroup(group)).join('')}
+          <div class="form-group">
+            <label for="detail_quantity">${escapeHtml(t('product.quantity'))}</label>
+            <input type="number" id="detail_quantity" name="quantity" value="1" min="1" ${maxQuantity !== '' ? `max="${maxQuantity}"` : ''}>
+          </div>
+          <div class="variant-errors" role="alert"></div>
+          <div class="product-detail-footer">
+            <div class="product-price" id="product-detail-price">${formatPrice(product.price, currency)}</div>
+            <button type="submit" class="add-to-cart-btn" ${available ? '' : 'disabled'}>
+              ${escapeHtml(available ? t('product.addToCart') : t('product.outOfStock'))}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Close the product detail view and return to the catalog page it was opened from
+ */
+function closeProductDetail() {
+  removeProductDetail();
+
+  if (router && router.getPath().startsWith('/product/')) {
+    router.back(lastCatalogPath);
+  }
+}
+
+/**
+ * Update the live price in the product detail view as variants change
+ */
+function updateProductDetailPrice(productId) {
+  const { storeData, products } = themeStore.state;
+  const product = products.find(p => String(p.id) === String(productId));
+  const form = document.getElementById('product-detail-form');
+  const priceEl = document.getElementById('product-detail-price');
+  if (!product || !form || !priceEl) return;
+
+  const selected = getSelectedVariants(form, product);
+  const quantity = Math.max(1, parseInt(form.elements.quantity.value, 10) || 1);
+  const unitPrice = calculateVariantPrice(product, selected);
+
+  priceEl.textContent = formatPrice(unitPrice * quantity, storeData?.configuration?.currency || 'USD');
+
+  // Clear stale errors once the shopper changes their selection
+  const errorsEl = form.querySelector('.variant-errors');
+  if (errorsEl) errorsEl.innerHTML = '';
+}
+
+/**
+ * Submit the product detail form
+ */
+async function submitProductDetail(event, productId) {
+  event.preventDefault();
+
+  const { products } = themeStore.state;
+  const product = products.find(p => String(p.id) === String(productId));
+  if (!product) return;
+
+  const form = event.target;
+  const selected = getSelectedVariants(form, product);
+  const quantity = Math.max(1, parseInt(form.elements.quantity.value, 10) || 1);
+  const errorsEl = form.querySelector('.variant-errors');
+
+  const errors = validateVariantSelection(product, selected);
+  if (errors.length > 0) {
+    errorsEl.innerHTML = errors.map(error => `<p>${escapeHtml(error)}</p>`).join('');
+    return;
+  }
+
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  submitBtn.textContent = t('product.adding');
+
+  const added = await addToCart(product.id, quantity, selected);
+
+  if (added) {
+    closeProductDetail();
+  } else {
+    submitBtn.disabled = false;
+    submitBtn.textContent = t('product.addToCart');
+  }
+}
+
+/**
+ * Render footer
+ */
+function renderFooter() {
+  const { storeData } = themeStore.state;
+  const contactInfo = [];
+  if (storeData.phone) contactInfo.push(escapeHtml(t('footer.phone', { phone: storeData.phone })));
+  if (storeData.email) contactInfo.push(escapeHtml(t('footer.email', { email: storeData.email })));
+  if (storeData.address) contactInfo.push(escapeHtml(t('footer.address', { address: storeData.address })));
+
+  return `
+    <footer>
+      ${contactInfo.length > 0 ? `<p>${contactInfo.join(' | ')}</p>` : ''}
+      <p class="mt-1"><a href="${HashRouter.href('/order')}" class="footer-link">${escapeHtml(t('footer.trackOrder'))}</a></p>
+      <p style="margin-top: 1rem; color: var(--text-light); font-size: 0.9rem;">
+        ${escapeHtml(t('footer.poweredBy'))}
+      </p>
+    </footer>
+  `;
+}
+
+/**
+ * Render cart button (the panel opens in a dialog, see openCart)
+ */
+function renderCart() {
+  return `
+    <button type="button" class="cart" data-action="toggle-cart" aria-haspopup="dialog" aria-label="${escapeHtml(t('cart.title'))}">
+      ${renderCartButton()}
+    </button>
+  `;
+}
+
+/**
+ * Render the cart panel
+ */
+function renderCartPanel() {
+  return `
+    <div class="cart-panel" id="cart-panel">
+      <div class="cart-header">
+        <h2 id="cart-title">${escapeHtml(t('cart.title'))}</h2>
+        <button class="close-cart" data-action="close-cart" aria-label="${escapeHtml(t('common.close'))}">×</button>
+      </div>
+      <div class="cart-items" id="cart-items"></div>
+      <div class="cart-footer">
+        <div class="cart-promo" id="cart-promo">
+          ${renderPromoControl()}
+        </div>
+        <div id="cart-summary">
+          ${renderCartSummary()}
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Render the cart button icon and item count
+ */
+function renderCartButton() {
+  const { cart } = themeStore.state;
+  const cartCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
+
+  return `
+    <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <path d="M9 21H5a2 2 0 0 1-2-2V9a2 2 0 0 1 2-2h4m7 0V5a2 2 0 0 0-2-2h-2M9 7V5a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2v2m-6 4h8m-8 4h8m-8-8h8"/>
+    </svg>
+    ${cartCount > 0 ? `<span class="cart-count">${cartCount}</span>` : ''}
+  `;
+}
+
+/**
+ * Render the cart totals breakdown and checkout button
+ */
+function renderCartSummary() {
+  const { cart } = themeStore.state;
+  const totals = calculateCartTotals();
+  const deliveryOptions = getDeliveryMethodOptions();
+
+  return `
+    ${deliveryOptions.length > 1 ? `
+      <div class="cart-delivery-method" role="radiogroup" aria-label="${escapeHtml(t('cart.deliveryMethod'))}">
+        ${deliveryOptions.map(option => `
+          <label>
+            <input 
+              type="radio" 
+              name="cart-delivery-method" 
+              value="${escapeHtml(option.value)}"
+              ${option.value === totals.deliveryMethod ? 'checked' : ''}
+              data-action="set-delivery-method"
+            >
+            ${escapeHtml(option.label)}
+          </label>
+        `).join('')}
+      </div>
+    ` : ''}
+    <div class="cart-breakdown">
+      ${renderTotalsBreakdown(totals)}
+    </div>
+    ${totals.minimumOrderError ? `
+      <p class="cart-minimum-order" role="status">${escapeHtml(totals.minimumOrderError)}</p>
+    ` : ''}
+    <button 
+      class="checkout-btn" 
+      ${cart.items.length === 0 || totals.minimumOrderError ? 'disabled' : ''}
+      data-action="checkout"
+    >
+      ${escapeHtml(t('cart.checkout'))}
+    </button>
+  `;
+}
+
+/**
+ * Render the subtotal, discount, delivery, tax and total rows shared by the cart and checkout
+ */
+function renderTotalsBreakdown(totals) {
+  const { storeData } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+
+  return `
+    <div class="cart-breakdown-row">
+      <span>${escapeHtml(t('totals.subtotal'))}</span>
+      <span>${formatPrice(totals.subtotal, currency)}</span>
+    </div>
+    ${totals.discount > 0 ? `
+      <div class="cart-breakdown-row discount">
+        <span>${escapeHtml(t('totals.discountCode', { code: totals.promotion.code }))}</span>
+        <span>−${formatPrice(totals.discount, currency)}</span>
+      </div>
+    ` : ''}
+    ${totals.deliveryMethod === 'delivery' && totals.subtotal > 0 ? `
+      <div class="cart-breakdown-row${totals.freeDelivery ? ' discount' : ''}">
+        <span>${escapeHtml(t('totals.delivery'))}</span>
+        <span>${totals.freeDelivery ? escapeHtml(t('totals.free')) : formatPrice(totals.deliveryFee, currency)}</span>
+      </div>
+    ` : ''}
+    <div class="cart-breakdown-row">
+      <span>${escapeHtml(t('totals.tax'))}</span>
+      <span>${formatPrice(totals.tax, currency)}</span>
+    </div>
+    <div class="cart-total">
+      <span>${escapeHtml(t('totals.total'))}</span>
+      <span>${formatPrice(totals.total, currency)}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render cart items into #cart-items
+ * Lines are keyed by product and variants, so changing one line leaves the others untouched.
+ * @returns {Object|null} DOM operations performed
+ */
+function renderCartItems() {
+  const { cart } = themeStore.state;
+  const cartItems = document.getElementById('cart-items');
+  if (!cartItems) return null;
+
+  const items = [];
+  const notices = renderCartNotices();
+  if (notices) {
+    items.push({ key: 'notices', html: notices });
+  }
+
+  if (cart.items.length === 0) {
+    items.push({
+      key: 'empty',
+      html: `<div class="text-center" style="padding: 2rem; color: var(--text-light);">${escapeHtml(t('cart.empty'))}</div>`
+    });
+  } else {
+    cart.items.forEach(item => {
+      items.push({ key: `line:${getCartLineKey(item)}`, html: renderCartLine(item) });
+    });
+    items.push({
+      key: 'actions',
+      html: `
+        <div class="cart-actions">
+          <button class="clear-cart-btn" data-action="clear-cart">${escapeHtml(t('cart.clear'))}</button>
+        </div>
+      `
+    });
+  }
+
+  return KeyedList.reconcile(cartItems, items);
+}
+
+/**
+ * Identify a cart line by its product and variants
+ */
+function getCartLineKey(item) {
+  return `${item.product_id}:${JSON.stringify(item.variants || {})}`;
+}
+
+/**
+ * Find a cart line by its key
+ * @returns {number} Index in cart.items, or -1
+ */
+function findCartLineIndex(lineKey) {
+  const { cart } = themeStore.state;
+  return cart.items.findIndex(item => getCartLineKey(item) === lineKey);
+}
+
+/**
+ * Render a cart line
+ */
+function renderCartLine(item) {
+  const { storeData, products } = themeStore.state;
+  const product = products.find(p => String(p.id) === String(item.product_id));
+  const variantText = formatVariants(item.variants, product);
+  const lineKey = escapeHtml(getCartLineKey(item));
+
+  const maxQuantity = product ? calculateVariantStock(product, item.variants || {}) : null;
+
+  return `
+    <div class="cart-item">
+      <div class="cart-item-info">
+        <div class="cart-item-name">${escapeHtml(item.product_name)}</div>
+        ${variantText ? `<div class="cart-item-variants">${escapeHtml(variantText)}</div>` : ''}
+        <div class="cart-item-price">${formatPrice(item.unit_price, storeData?.configuration?.currency || 'USD')} × ${item.quantity}</div>
+        <button class="remove-item-btn" data-action="remove-cart-item" data-line="${lineKey}">${escapeHtml(t('cart.remove'))}</button>
+      </div>
+      <div class="cart-item-quantity">
+        <button class="quantity-btn" data-action="set-cart-quantity" data-line="${lineKey}" data-quantity="${item.quantity - 1}" aria-label="${escapeHtml(t('cart.decrease'))}">-</button>
+        <input 
+          type="number" 
+          class="quantity-input" 
+          value="${item.quantity}" 
+          min="0" 
+          ${maxQuantity !== null ? `max="${maxQuantity}"` : ''}
+          aria-label="${escapeHtml(t('cart.quantityOf', { name: item.product_name }))}"
+          data-action="set-cart-quantity"
+          data-line="${lineKey}"
+        >
+        <button class="quantity-btn" data-action="set-cart-quantity" data-line="${lineKey}" data-quantity="${item.quantity + 1}" ${maxQuantity !== null && item.quantity >= maxQuantity ? 'disabled' : ''} aria-label="${escapeHtml(t('cart.increase'))}">+</button>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Promotion codes
+ *
+ * Codes are checked in the browser against getPromotions data so the shopper
+ * sees the discount before checkout. The server still validates the code when
+ * the order is placed.
+ */
+
+/**
+ * Find an active promotion by code (case-insensitive)
+ */
+function findPromotionByCode(code) {
+  const { promotions } = themeStore.state;
+  const normalized = String(code || '').trim().toUpperCase();
+  if (!normalized) return null;
+  return (promotions || []).find(promo => promo.code && promo.code.toUpperCase() === normalized) || null;
+}
+
+/**
+ * Check whether a cart line falls within a promotion's product/category scope
+ */
+function isPromotionApplicableToItem(promo, item) {
+  const { products } = themeStore.state;
+  const productIds = promo.applicable_products || [];
+  const categoryNames = promo.applicable_categories || [];
+  if (productIds.length === 0 && categoryNames.length === 0) return true;
+
+  if (productIds.some(id => String(id) === String(item.product_id))) return true;
+
+  const product = products.find(p => String(p.id) === String(item.product_id));
+  return Boolean(product && categoryNames.includes(product.category));
+}
+
+/**
+ * Check a promotion against the current cart
+ * @returns {string} Reason the promotion can't be used, or an empty string if it applies
+ */
+function validatePromotion(promo) {
+  const { storeData, cart } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+  const now = Date.now();
+
+  if (promo.start_date && new Date(promo.start_date).getTime() > now) {
+    return t('promo.notActive', { code: promo.code });
+  }
+  if (promo.end_date && new Date(promo.end_date).getTime() < now) {
+    return t('promo.expired', { code: promo.code });
+  }
+
+  const subtotal = getCartSubtotal();
+  if (promo.min_purchase_amount && subtotal < promo.min_purchase_amount) {
+    return t('promo.minimum', { code: promo.code, amount: formatPrice(promo.min_purchase_amount, currency) });
+  }
+
+  if (!cart.items.some(item => isPromotionApplicableToItem(promo, item))) {
+    return t('promo.notApplicable', { code: promo.code });
+  }
+
+  return '';
+}
+
+/**
+ * Calculate the discount a promotion gives on the current cart
+ */
+function calculatePromotionDiscount(promo) {
+  const { cart } = themeStore.state;
+  const eligibleSubtotal = cart.items
+    .filter(item => isPromotionApplicableToItem(promo, item))
+    .reduce((sum, item) => sum + getCartItemTotal(item), 0);
+
+  switch (promo.discount_type) {
+    case 'percentage':
+      return roundCurrency(eligibleSubtotal * (promo.discount_value || 0) / 100);
+    case 'fixed':
+      return roundCurrency(Math.min(promo.discount_value || 0, eligibleSubtotal));
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Calculate the cart totals, including the applied promotion and delivery fee
+ * @param {string} deliveryMethod - Delivery method to price; defaults to the one selected in the cart
+ * @returns {Object} { subtotal, discount, tax, deliveryFee, total, deliveryMethod, freeDelivery,
+ *   promotion, promotionError, minimumOrderError }
+ */
+function calculateCartTotals(deliveryMethod = getSelectedDeliveryMethod()) {
+  const { storeData, cart, appliedPromotionCode } = themeStore.state;
+  const config = storeData?.configuration || {};
+  const currency = config.currency || 'USD';
+  const subtotal = getCartSubtotal();
+  const promotion = appliedPromotionCode ? findPromotionByCode(appliedPromotionCode) : null;
+  const promotionError = appliedPromotionCode
+    ? (promotion ? validatePromotion(promotion) : t('promo.invalid', { code: appliedPromotionCode }))
+    : '';
+  const validPromotion = promotion && !promotionError ? promotion : null;
+  const discount = validPromotion ? calculatePromotionDiscount(validPromotion) : 0;
+
+  // Tax applies to the discounted subtotal; without a configured rate, scale the cart's tax
+  const taxRate = config.tax_rate;
+  const taxable = Math.max(0, subtotal - discount);
+  const tax = typeof taxRate === 'number'
+    ? roundCurrency(taxable * taxRate)
+    : roundCurrency(subtotal > 0 ? (cart.tax || 0) * taxable / subtotal : 0);
+
+  // Delivery is free above the store's threshold or with a free delivery code
+  let deliveryFee = 0;
+  let freeDelivery = false;
+  if (deliveryMethod === 'delivery' && subtotal > 0) {
+    freeDelivery = validPromotion?.discount_type === 'free_delivery' ||
+      (config.free_delivery_threshold > 0 && subtotal >= config.free_delivery_threshold);
+    deliveryFee = freeDelivery ? 0 : roundCurrency(config.delivery_fee || 0);
+  }
+
+  // The minimum order applies to the item subtotal, before discounts
+  const minimumOrderError = config.min_order_amount > 0 && subtotal > 0 && subtotal < config.min_order_amount
+    ? t('cart.minimumOrder', {
+      minimum: formatPrice(config.min_order_amount, currency),
+      remaining: formatPrice(config.min_order_amount - subtotal, currency)
+    })
+    : '';
+
+  return {
+    subtotal,
+    discount,
+    tax,
+    deliveryFee,
+    total: roundCurrency(taxable + tax + deliveryFee),
+    deliveryMethod,
+    freeDelivery,
+    promotion: validPromotion,
+    promotionError,
+    minimumOrderError
+  };
+}
+
+/**
+ * Get the delivery method used to price the cart
+ * Falls back to the store's first option until the shopper picks one
+ * @returns {string|null} Delivery method value, or null if the store offers none
+ */
+function getSelectedDeliveryMethod() {
+  const { selectedDeliveryMethod } = themeStore.state;
+  const options = getDeliveryMethodOptions();
+  if (options.some(option => option.value === selectedDeliveryMethod)) return selectedDeliveryMethod;
+  return options.length > 0 ? options[0].value : null;
+}
+
+/**
+ * Select the delivery method used to price the cart and preselected at checkout
+ */
+function setDeliveryMethod(method) {
+  themeStore.dispatch('setDeliveryMethod', method);
+}
+
+function getCartSubtotal() {
+  const { cart } = themeStore.state;
+  return roundCurrency(cart.items.reduce((sum, item) => sum + getCartItemTotal(item), 0));
+}
+
+function getCartItemTotal(item) {
+  return typeof item.total_price === 'number' ? item.total_price : item.unit_price * item.quantity;
+}
+
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Render the promotion code form, or the applied code
+ */
+function renderPromoControl(message = '') {
+  const { appliedPromotionCode } = themeStore.state;
+  if (appliedPromotionCode) {
+    const { promotion, promotionError } = calculateCartTotals();
+
+    return `
+      <div class="promo-applied ${promotionError ? 'invalid' : ''}">
+        <span>
+          ${i18n.html('promo.applied', { code: `<strong>${escapeHtml(appliedPromotionCode)}</strong>` })}
+          ${promotion ? ` – ${escapeHtml(promotion.name)}` : ''}
+        </span>
+        <button type="button" class="promo-remove-btn" data-action="remove-promo">${escapeHtml(t('promo.remove'))}</button>
+      </div>
+      ${promotionError ? `<p class="promo-message error">${escapeHtml(promotionError)}</p>` : ''}
+    `;
+  }
+
+  return `
+    <form class="promo-form" data-action="apply-promo">
+      <label for="cart_promo_code" class="promo-label">${escapeHtml(t('promo.label'))}</label>
+      <div class="promo-row">
+        <input type="text" id="cart_promo_code" name="code" placeholder="${escapeHtml(t('promo.placeholder'))}" autocomplete="off">
+        <button type="submit" class="promo-apply-btn">${escapeHtml(t('promo.apply'))}</button>
+      </div>
+      ${message ? `<p class="promo-message error" role="alert">${escapeHtml(message)}</p>` : ''}
+    </form>
+  `;
+}
+
+function updatePromoControl(message) {
+  const promoEl = document.getElementById('cart-promo');
+  if (promoEl) {
+    promoEl.innerHTML = renderPromoControl(message);
+  }
+}
+
+/**
+ * Apply the promotion code entered in the cart panel
+ */
+function applyPromotionCode(event) {
+  event.preventDefault();
+
+  const code = new FormData(event.target).get('code').trim();
+  if (!code) return;
+
+  const promotion = findPromotionByCode(code);
+  if (!promotion) {
+    updatePromoControl(t('promo.invalid', { code }));
+    return;
+  }
+
+  const error = validatePromotion(promotion);
+  if (error) {
+    updatePromoControl(error);
+    return;
+  }
+
+  themeStore.dispatch('applyPromotion', promotion.code);
+}
+
+/**
+ * Remove the applied promotion code
+ */
+function removePromotionCode() {
+  themeStore.dispatch('removePromotion');
+}
+
+/**
+ * Render changes found when the saved cart was restored
+ */
+function renderCartNotices() {
+  const { storeData, products, cartNotices } = themeStore.state;
+  if (cartNotices.length === 0) return '';
+
+  const currency = storeData?.configuration?.currency || 'USD';
+
+  const messages = cartNotices.map(notice => {
+    const product = products.find(p => String(p.id) === String(notice.product_id));
+    const variantText = formatVariants(notice.variants, product);
+    const name = `<strong>${escapeHtml(notice.product_name)}</strong>${variantText ? ` (${escapeHtml(variantText)})` : ''}`;
+
+    switch (notice.type) {
+      case 'removed':
+        return i18n.html('cartNotices.removed', { name });
+      case 'out_of_stock':
+        return i18n.html('cartNotices.outOfStock', { name });
+      case 'insufficient_stock':
+        return i18n.html('cartNotices.insufficientStock', { name, available: notice.available, quantity: notice.quantity });
+      case 'price_changed':
+        return i18n.html('cartNotices.priceChanged', {
+          name,
+          oldPrice: escapeHtml(formatPrice(notice.old_price, currency)),
+          newPrice: escapeHtml(formatPrice(notice.new_price, currency))
+        });
+      default:
+        return notice.message
+          ? i18n.html('cartNotices.unavailableReason', { name, reason: escapeHtml(notice.message) })
+          : i18n.html('cartNotices.unavailable', { name });
+    }
+  });
+
+  return `
+    <div class="cart-notices" role="alert">
+      <p class="cart-notices-title">${escapeHtml(t('cartNotices.title'))}</p>
+      <ul>
+        ${messages.map(message => `<li>${message}</li>`).join('')}
+      </ul>
+      <button class="dismiss-notices-btn" data-action="dismiss-cart-notices">${escapeHtml(t('cartNotices.dismiss'))}</button>
+    </div>
+  `;
+}
+
+/**
+ * Dismiss cart change notices
+ */
+function dismissCartNotices() {
+  themeStore.dispatch('setCartNotices', []);
+}
+
+/**
+ * Cart persistence
+ *
+ * The cart is saved to localStorage (one entry per store) after every change,
+ * and restored when the theme loads. Saved lines are checked against the
+ * current products before they are added back to the server cart.
+ */
+const CART_STORAGE_PREFIX = 'suchify_cart_';
+
+function getCartStorageKey() {
+  const { storeData } = themeStore.state;
+  return `${CART_STORAGE_PREFIX}${currentStoreSlug || storeData?.slug || 'default'}`;
+}
+
+/**
+ * Save the cart to localStorage
+ */
+function saveCart() {
+  const { cart } = themeStore.state;
+  try {
+    if (cart.items.length === 0) {
+      localStorage.removeItem(getCartStorageKey());
+      return;
+    }
+
+    localStorage.setItem(getCartStorageKey(), JSON.stringify({
+      saved_at: new Date().toISOString(),
+      items: cart.items.map(item => ({
+        product_id: item.product_id,
+        product_name: item.product_name,
+        quantity: item.quantity,
+        unit_price: item.unit_price,
+        variants: item.variants || {}
+      }))
+    }));
+  } catch (error) {
+    // Storage can be full or disabled (e.g., private browsing), the cart still works for this visit
+    console.warn('Could not save cart:', error);
+  }
+}
+
+/**
+ * Read the saved cart from localStorage
+ * @returns {Array|null} Saved cart lines, or null if there is no saved cart
  */
-function renderFooter() {
-  const contactInfo = [];
-  if (storeData.phone) contactInfo.push(`Phone: ${escapeHtml(storeData.phone)}`);
-  if (storeData.email) contactInfo.push(`Email: ${escapeHtml(storeData.email)}`);
-  if (storeData.address) contactInfo.push(`Address: ${escapeHtml(storeData.address)}`);
-
-  return `
-    <footer>
-      ${contactInfo.length > 0 ? `<p>${contactInfo.join(' | ')}</p>` : ''}
-      <p style="margin-top: 1rem; color: var(--text-light); font-size: 0.9rem;">
-        Powered by Suchify
-      </p>
-    </footer>
-  `;
+function loadSavedCart() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(getCartStorageKey()));
+    return Array.isArray(saved?.items) && saved.items.length > 0 ? saved.items : null;
+  } catch (error) {
+    console.warn('Could not read saved cart:', error);
+    return null;
+  }
 }
 
 /**
- * Render cart button and panel
+ * Check a saved cart line against the loaded products
+ * Lines for products that aren't loaded (the catalog loads a page at a time)
+ * are restored as they are; the server checks them when they are added.
+ * @returns {Object} { quantity, notice } - quantity to restore (0 to drop the line) and an optional notice
  */
-function renderCart() {
-  const cartCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-  
-  return `
-    <div class="cart" onclick="toggleCart()">
-      <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-        <path d="M9 21H5a2 2 0 0 1-2-2V9a2 2 0 0 1 2-2h4m7 0V5a2 2 0 0 0-2-2h-2M9 7V5a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2v2m-6 4h8m-8 4h8m-8-8h8"/>
-      </svg>
-      ${cartCount > 0 ? `<span class="cart-count">${cartCount}</span>` : ''}
-    </div>
-    <div class="cart-panel" id="cart-panel">
-      <div class="cart-header">
-        <h2>Shopping Cart</h2>
-        <button class="close-cart" onclick="toggleCart()">×</button>
-      </div>
-      <div class="cart-items" id="cart-items">
-        ${renderCartItems()}
-      </div>
-      <div class="cart-footer">
-        <div class="cart-total">
-          <span>Total:</span>
-          <span>${formatPrice(cart.total, storeData?.configuration?.currency || 'USD')}</span>
-        </div>
-        <button 
-          class="checkout-btn" 
-          ${cart.items.length === 0 ? 'disabled' : ''}
-          onclick="handleCheckout()"
-        >
-          Checkout
-        </button>
-      </div>
-    </div>
-  `;
+function reconcileCartLine(line) {
+  const { products } = themeStore.state;
+  const product = products.find(p => String(p.id) === String(line.product_id));
+  const base = { product_id: line.product_id, product_name: product?.name || line.product_name, variants: line.variants };
+
+  if (!product) {
+    return { quantity: line.quantity, notice: null };
+  }
+
+  const variantErrors = validateVariantSelection(product, line.variants || {});
+  const productAvailable = product.is_available && (product.stock_quantity === null || product.stock_quantity > 0);
+  if (!productAvailable || variantErrors.length > 0) {
+    return { quantity: 0, notice: { ...base, type: 'out_of_stock' } };
+  }
+
+  if (typeof product.stock_quantity === 'number' && line.quantity > product.stock_quantity) {
+    return {
+      quantity: product.stock_quantity,
+      notice: { ...base, type: 'insufficient_stock', quantity: line.quantity, available: product.stock_quantity }
+    };
+  }
+
+  const currentPrice = calculateVariantPrice(product, line.variants || {});
+  if (Math.abs(currentPrice - line.unit_price) >= 0.005) {
+    return {
+      quantity: line.quantity,
+      notice: { ...base, type: 'price_changed', old_price: line.unit_price, new_price: currentPrice }
+    };
+  }
+
+  return { quantity: line.quantity, notice: null };
 }
 
 /**
- * Render cart items
+ * Restore the saved cart, reconciling it with the server cart
+ * Lines the server cart already has (kept by the session, or changed in
+ * another tab) are left as they are; only missing lines are added back.
  */
-function renderCartItems() {
-  if (cart.items.length === 0) {
-    return '<div class="text-center" style="padding: 2rem; color: var(--text-light);">Your cart is empty</div>';
+async function restoreCart() {
+  const savedItems = loadSavedCart();
+  cartRestorePending = false;
+  if (!savedItems) return;
+
+  // Offline, show the saved cart as it is and restore it when the connection is back
+  if (OfflineQueue.offline) {
+    restoreCartLater(savedItems);
+    return;
   }
 
-  return cart.items.map(item => `
-    <div class="cart-item">
-      <div class="cart-item-info">
-        <div class="cart-item-name">${escapeHtml(item.product_name)}</div>
-        <div class="cart-item-price">${formatPrice(item.unit_price, storeData?.configuration?.currency || 'USD')} × ${item.quantity}</div>
-      </div>
-      <div class="cart-item-quantity">
-        <button class="quantity-btn" onclick="updateCartQuantity('${item.product_id}', ${item.quantity - 1})">-</button>
-        <span>${item.quantity}</span>
-        <button class="quantity-btn" onclick="updateCartQuantity('${item.product_id}', ${item.quantity + 1})">+</button>
-      </div>
-    </div>
-  `).join('');
+  // The cart state is updated (and saved) once all lines are reconciled
+  let cart;
+  try {
+    cart = await api.getCart();
+  } catch (error) {
+    if (OfflineQueue.isConnectionError(error)) {
+      restoreCartLater(savedItems);
+      return;
+    }
+    console.warn('Could not load server cart before restoring:', error);
+    cart = themeStore.state.cart;
+  }
+
+  let cartNotices = [];
+
+  for (const line of savedItems) {
+    const { quantity, notice } = reconcileCartLine(line);
+    if (notice) cartNotices.push(notice);
+
+    const lineKey = getCartLineKey(line);
+    const onServer = cart.items?.some(item => getCartLineKey(item) === lineKey);
+
+    try {
+      if (quantity <= 0) {
+        // Drop a line that can't be ordered any more from the server cart too
+        if (onServer) cart = await api.removeFromCart(line.product_id, line.variants || {});
+        continue;
+      }
+
+      if (!onServer) {
+        cart = await api.addToCart(line.product_id, quantity, line.variants || {});
+      }
+
+      // Products that weren't loaded are only checked for price changes now
+      const restored = cart.items?.find(item => getCartLineKey(item) === lineKey);
+      if (!notice && restored && Math.abs(restored.unit_price - line.unit_price) >= 0.005) {
+        cartNotices.push({
+          product_id: line.product_id,
+          product_name: restored.product_name || line.product_name,
+          variants: line.variants,
+          type: 'price_changed',
+          old_price: line.unit_price,
+          new_price: restored.unit_price
+        });
+      }
+    } catch (error) {
+      if (OfflineQueue.isConnectionError(error)) {
+        // The connection dropped; keep the saved cart and try again when it's back
+        restoreCartLater(savedItems);
+        return;
+      }
+
+      console.warn('Could not restore cart item:', line.product_id, error);
+      cartNotices = cartNotices.filter(n => n.product_id !== line.product_id || n.variants !== line.variants);
+
+      const base = { product_id: line.product_id, product_name: line.product_name, variants: line.variants };
+      if (error instanceof NotFoundError) {
+        cartNotices.push({ ...base, type: 'removed' });
+      } else if (error instanceof OutOfStockError) {
+        cartNotices.push({ ...base, type: 'out_of_stock' });
+      } else {
+        cartNotices.push({ ...base, type: 'unavailable', message: error instanceof ValidationError ? error.message : null });
+      }
+    }
+  }
+
+  themeStore.dispatch('setCartNotices', cartNotices);
+
+  // Saving happens on change; save anyway so lines that couldn't be restored are dropped
+  if (themeStore.dispatch('setCart', cart).length === 0) {
+    saveCart();
+  }
 }
 
 /**
- * Attach event listeners
+ * Show the saved cart as it is and restore it when the connection is back
  */
-function attachEventListeners() {
-  // Category filter buttons
-  const categoryButtons = document.querySelectorAll('.category-btn');
-  categoryButtons.forEach(btn => {
-    btn.addEventListener('click', () => {
-      currentCategory = btn.dataset.category;
-      const main = document.querySelector('main');
-      if (main) {
-        main.innerHTML = `
-          ${renderPromotions()}
-          ${renderProducts()}
-        `;
-        attachEventListeners();
-      }
-    });
-  });
+function restoreCartLater(savedItems) {
+  cartRestorePending = true;
+  themeStore.dispatch('setCart', { ...INITIAL_CART, items: savedItems });
+}
+
+/**
+ * Navigate to a route path (e.g., "/cart")
+ */
+function navigateTo(path) {
+  if (router) {
+    router.navigate(path);
+  }
 }
 
 /**
  * Add product to cart
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Quantity to add
+ * @param {Object} variants - Selected variants keyed by option group name
+ * @returns {Promise<boolean>} Whether the item was added
  */
-async function addToCart(productId) {
+async function addToCart(productId, quantity = 1, variants = {}) {
   if (!api) {
     console.error('API client not available');
-    return;
+    return false;
+  }
+
+  if (OfflineQueue.offline) {
+    return queueAddToCart(productId, quantity, variants);
   }
 
+  // The card's own add button; cards of products with options open the detail view instead
+  const button = document.querySelector(`.add-to-cart-btn[data-action="add-to-cart"][data-product-id="${CSS.escape(String(productId))}"]`);
+  const buttonLabel = button ? button.textContent : '';
+
   try {
-    const button = document.querySelector(`[data-product-id="${productId}"]`);
     if (button) {
       button.disabled = true;
-      button.textContent = 'Adding...';
+      button.textContent = t('product.adding');
     }
 
-    cart = await api.addToCart(productId, 1);
-    updateCartDisplay();
+    themeStore.dispatch('setCart', await api.addToCart(productId, quantity, variants));
     
     if (button) {
       button.disabled = false;
-      button.textContent = 'Add to Cart';
+      button.textContent = buttonLabel;
     }
+
+    const product = themeStore.state.products.find(p => String(p.id) === String(productId));
+    if (product) {
+      showToast(t('cart.added', { name: product.name }), 'success');
+    }
+    return true;
   } catch (error) {
-    console.error('Error adding to cart:', error);
-    alert('Failed to add item to cart. Please try again.');
-    
-    const button = document.querySelector(`[data-product-id="${productId}"]`);
     if (button) {
       button.disabled = false;
-      button.textContent = 'Add to Cart';
+      button.textContent = buttonLabel;
+    }
+
+    // The connection dropped before the request reached the store
+    if (OfflineQueue.offline && OfflineQueue.isConnectionError(error)) {
+      return queueAddToCart(productId, quantity, variants);
+    }
+
+    console.error('Error adding to cart:', error);
+    showToast(getErrorMessage(error, 'cart.addFailed'), 'error');
+    return false;
+  }
+}
+
+/**
+ * Set the quantity of a cart line
+ * @param {number} lineIndex - Index of the line in cart.items
+ * @param {number} newQuantity - New quantity (0 removes the line)
+ */
+async function updateCartQuantity(lineIndex, newQuantity) {
+  if (!api) {
+    console.error('API client not available');
+    return;
+  }
+
+  const item = themeStore.state.cart.items[lineIndex];
+  if (!item) return;
+
+  if (isNaN(newQuantity) || newQuantity === item.quantity) {
+    // Invalid or unchanged input, restore the displayed quantity
+    resetCartQuantityInput(item);
+    return;
+  }
+
+  if (newQuantity <= 0) {
+    await removeCartItem(lineIndex);
+    return;
+  }
+
+  try {
+    themeStore.dispatch('setCart', await api.updateCartItem(item.product_id, newQuantity, item.variants || {}));
+  } catch (error) {
+    console.error('Error updating cart:', error);
+    showToast(getErrorMessage(error, 'cart.updateFailed'), 'error');
+    resetCartQuantityInput(item);
+  }
+}
+
+/**
+ * Show a cart line's current quantity in its input again
+ * The line's markup hasn't changed, so re-rendering the cart wouldn't touch the input.
+ */
+function resetCartQuantityInput(item) {
+  const lineKey = getCartLineKey(item);
+  document.querySelectorAll('#cart-items .quantity-input').forEach(input => {
+    if (input.dataset.line === lineKey) input.value = item.quantity;
+  });
+}
+
+/**
+ * Remove a line from the cart
+ * @param {number} lineIndex - Index of the line in cart.items
+ */
+async function removeCartItem(lineIndex) {
+  if (!api) {
+    console.error('API client not available');
+    return;
+  }
+
+  const item = themeStore.state.cart.items[lineIndex];
+  if (!item) return;
+
+  try {
+    themeStore.dispatch('setCart', await api.removeFromCart(item.product_id, item.variants || {}));
+  } catch (error) {
+    console.error('Error removing from cart:', error);
+    showToast(getErrorMessage(error, 'cart.removeFailed'), 'error');
+  }
+}
+
+/**
+ * Remove all items from the cart
+ */
+async function clearCart() {
+  if (!api) {
+    console.error('API client not available');
+    return;
+  }
+
+  if (themeStore.state.cart.items.length === 0) return;
+
+  const confirmed = await Dialog.confirm({
+    title: t('cart.clear'),
+    message: t('cart.clearConfirm'),
+    confirmLabel: t('cart.clear'),
+    cancelLabel: t('common.cancel'),
+    danger: true
+  });
+  if (!confirmed) return;
+
+  try {
+    themeStore.dispatch('setCart', await api.clearCart());
+  } catch (error) {
+    console.error('Error clearing cart:', error);
+    showToast(getErrorMessage(error, 'cart.clearFailed'), 'error');
+  }
+}
+
+/**
+ * Re-render the cart after a state change (see the store subscription at the top)
+ * @param {string[]} changed - State keys that changed
+ */
+function updateCartDisplay(changed = []) {
+  const { appliedPromotionCode } = themeStore.state;
+
+  renderCartItems();
+
+  const cartButton = document.querySelector('.cart');
+  if (cartButton) {
+    cartButton.innerHTML = renderCartButton();
+  }
+
+  // Update totals and checkout button
+  const cartSummary = document.getElementById('cart-summary');
+  if (cartSummary) {
+    cartSummary.innerHTML = renderCartSummary();
+  }
+
+  // An applied code may stop (or start) applying as the cart changes
+  if (appliedPromotionCode || changed.includes('appliedPromotionCode')) {
+    updatePromoControl();
+  }
+
+  if (changed.includes('cart')) {
+    saveCart();
+  }
+}
+
+/**
+ * Toggle cart panel
+ */
+function toggleCart() {
+  if (cartView) {
+    closeCart();
+  } else {
+    navigateTo('/cart');
+  }
+}
+
+/**
+ * Open cart panel (route handler for "#/cart")
+ */
+function openCart() {
+  removeCart();
+  cartView = new Dialog({
+    render: () => renderCartPanel(),
+    mount: () => renderCartItems(),
+    labelledBy: 'cart-title',
+    className: 'cart-overlay',
+    onDismiss: () => closeCart()
+  }).open();
+}
+
+/**
+ * Remove the cart panel without changing the URL
+ */
+function removeCart() {
+  if (cartView) {
+    cartView.unmount();
+    cartView = null;
+  }
+}
+
+/**
+ * Close cart panel and return to the page it was opened from
+ */
+function closeCart() {
+  removeCart();
+
+  if (router && router.getPath() === '/cart') {
+    router.back(lastCatalogPath);
+  }
+}
+
+/**
+ * Handle checkout
+ */
+async function handleCheckout() {
+  if (!api) {
+    console.error('API client not available');
+    return;
+  }
+
+  const { cart, cartNotices } = themeStore.state;
+  if (cart.items.length === 0) {
+    showToast(t('cart.empty'));
+    return;
+  }
+
+  // Make sure the shopper has seen changes to their restored cart
+  if (cartNotices.length > 0) {
+    navigateTo('/cart');
+    showToast(t('cart.reviewChanges'));
+    return;
+  }
+
+  const { minimumOrderError } = calculateCartTotals();
+  if (minimumOrderError) {
+    showToast(minimumOrderError, 'error');
+    return;
+  }
+
+  // Show checkout modal
+  showCheckoutModal();
+}
+
+/**
+ * Checkout form schema
+ *
+ * The checkout form is generated from this list of fields. `required` and
+ * `visible` may be booleans or functions of the current form values, so fields
+ * like the delivery address only apply to delivery orders.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?\d{7,15}$/;
+
+const PAYMENT_METHOD_LABEL_KEYS = {
+  cash: 'payment.cash',
+  card: 'payment.card',
+  online: 'payment.online'
+};
+
+function getPaymentMethodLabel(method) {
+  return PAYMENT_METHOD_LABEL_KEYS[method] ? t(PAYMENT_METHOD_LABEL_KEYS[method]) : method;
+}
+
+/**
+ * Get the delivery methods the store accepts
+ * @returns {Array<{value: string, label: string}>} Delivery method options
+ */
+function getDeliveryMethodOptions() {
+  const { storeData } = themeStore.state;
+  const config = storeData?.configuration || {};
+  const options = [];
+  if (config.delivery_enabled) options.push({ value: 'delivery', label: t('delivery.delivery') });
+  if (config.pickup_enabled) options.push({ value: 'pickup', label: t('delivery.pickup') });
+
+  // Stores that don't configure either method default to pickup
+  if (options.length === 0 && config.delivery_enabled === undefined && config.pickup_enabled === undefined) {
+    options.push({ value: 'pickup', label: t('delivery.pickup') });
+  }
+
+  return options;
+}
+
+/**
+ * Get the payment methods the store accepts
+ * configuration.payment_methods may list values ("card") or { value, label } objects
+ * @returns {Array<{value: string, label: string}>} Payment method options
+ */
+function getPaymentMethodOptions() {
+  const { storeData } = themeStore.state;
+  const configured = storeData?.configuration?.payment_methods;
+  const methods = Array.isArray(configured) && configured.length > 0
+    ? configured
+    : ['cash', 'card', 'online'];
+
+  return methods.map(method => typeof method === 'string'
+    ? { value: method, label: getPaymentMethodLabel(method) }
+    : { value: method.value, label: method.label || getPaymentMethodLabel(method.value) });
+}
+
+/**
+ * Build the checkout form schema from the store configuration
+ * @returns {Array<Object>} Field definitions
+ */
+function getCheckoutSchema() {
+  const isDelivery = values => values.delivery_method === 'delivery';
+
+  return [
+    {
+      name: 'customer_name',
+      label: t('checkout.name'),
+      type: 'text',
+      required: true,
+      autocomplete: 'name',
+      maxLength: 100
+    },
+    {
+      name: 'customer_email',
+      label: t('checkout.email'),
+      type: 'email',
+      required: true,
+      autocomplete: 'email',
+      validate: value => EMAIL_PATTERN.test(value) ? '' : t('checkout.invalidEmail')
+    },
+    {
+      name: 'customer_phone',
+      label: t('checkout.phone'),
+      type: 'tel',
+      required: true,
+      autocomplete: 'tel',
+      validate: value => PHONE_PATTERN.test(value.replace(/[\s().-]/g, ''))
+        ? ''
+        : t('checkout.invalidPhone')
+    },
+    {
+      name: 'delivery_method',
+      label: t('checkout.deliveryMethod'),
+      type: 'select',
+      required: true,
+      options: getDeliveryMethodOptions()
+    },
+    {
+      name: 'delivery_address',
+      label: t('checkout.deliveryAddress'),
+      type: 'textarea',
+      rows: 2,
+      autocomplete: 'street-address',
+      required: isDelivery,
+      visible: isDelivery
+    },
+    {
+      name: 'payment_method',
+      label: t('checkout.paymentMethod'),
+      type: 'select',
+      required: true,
+      options: getPaymentMethodOptions()
+    },
+    {
+      name: 'special_instructions',
+      label: t('checkout.specialInstructions'),
+      type: 'textarea',
+      rows: 3,
+      maxLength: 500
     }
+  ];
+}
+
+/**
+ * Resolve a schema property that may be a function of the form values
+ */
+function resolveFieldRule(rule, values) {
+  return typeof rule === 'function' ? rule(values) : Boolean(rule);
+}
+
+function isFieldVisible(field, values) {
+  return field.visible === undefined ? true : resolveFieldRule(field.visible, values);
+}
+
+/**
+ * Render a checkout form field
+ */
+function renderCheckoutField(field, values) {
+  const visible = isFieldVisible(field, values);
+  const required = resolveFieldRule(field.required, values);
+  const errorId = `${field.name}_error`;
+  const attrs = `id="${field.name}" name="${field.name}" aria-describedby="${errorId}" ${required ? 'aria-required="true"' : ''} ${visible ? '' : 'disabled'} ${field.autocomplete ? `autocomplete="${field.autocomplete}"` : ''} ${field.maxLength ? `maxlength="${field.maxLength}"` : ''}`;
+
+  let control;
+  if (field.type === 'select') {
+    control = `
+      <select ${attrs}>
+        ${field.options.map(option => `
+          <option value="${escapeHtml(option.value)}" ${values[field.name] === option.value ? 'selected' : ''}>${escapeHtml(option.label)}</option>
+        `).join('')}
+      </select>
+    `;
+  } else if (field.type === 'textarea') {
+    control = `<textarea ${attrs} rows="${field.rows || 3}">${escapeHtml(values[field.name] || '')}</textarea>`;
+  } else {
+    control = `<input type="${field.type}" ${attrs} value="${escapeHtml(values[field.name] || '')}">`;
   }
+
+  return `
+    <div class="form-group ${visible ? '' : 'hidden'}" data-field="${field.name}">
+      <label for="${field.name}">${escapeHtml(field.label)}${required ? ' *' : ''}</label>
+      ${control}
+      <div class="field-error" id="${errorId}" aria-live="polite"></div>
+    </div>
+  `;
 }
 
 /**
- * Update cart quantity
+ * Read the checkout form values
  */
-async function updateCartQuantity(productId, newQuantity) {
-  if (!api) {
-    console.error('API client not available');
-    return;
+function getCheckoutValues(form) {
+  const values = {};
+  getCheckoutSchema().forEach(field => {
+    const element = form.elements[field.name];
+    values[field.name] = element ? String(element.value || '').trim() : '';
+  });
+  return values;
+}
+
+/**
+ * Validate one checkout field
+ * @returns {string} Error message, or an empty string when valid
+ */
+function validateCheckoutField(field, values) {
+  if (!isFieldVisible(field, values)) return '';
+
+  const value = values[field.name];
+  if (!value) {
+    return resolveFieldRule(field.required, values) ? t('checkout.fieldRequired', { field: field.label }) : '';
   }
 
-  if (newQuantity <= 0) {
-    // Remove from cart (you might need a removeFromCart API method)
-    // For now, we'll just refresh the cart
-    return;
+  if (field.type === 'select' && !field.options.some(option => option.value === value)) {
+    return t('checkout.fieldChoose', { field: field.label.toLocaleLowerCase(i18n.locale) });
   }
 
-  try {
-    cart = await api.addToCart(productId, newQuantity);
-    updateCartDisplay();
-  } catch (error) {
-    console.error('Error updating cart:', error);
-    alert('Failed to update cart. Please try again.');
+  if (field.maxLength && value.length > field.maxLength) {
+    return t('checkout.fieldTooLong', { field: field.label, max: field.maxLength });
   }
+
+  return field.validate ? field.validate(value, values) : '';
 }
 
 /**
- * Update cart display
+ * Show or clear the error message for a checkout field
  */
-function updateCartDisplay() {
-  const cartPanel = document.getElementById('cart-panel');
-  const cartItems = document.getElementById('cart-items');
-  
-  if (cartItems) {
-    cartItems.innerHTML = renderCartItems();
-  }
+function setCheckoutFieldError(form, name, message) {
+  const group = form.querySelector(`[data-field="${name}"]`);
+  const input = form.elements[name];
+  if (!group || !input) return;
 
-  // Update cart button count
-  const cartCountEl = document.querySelector('.cart-count');
-  const cartCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-  
-  if (cartCount > 0) {
-    if (!cartCountEl) {
-      const cartBtn = document.querySelector('.cart');
-      if (cartBtn) {
-        const countSpan = document.createElement('span');
-        countSpan.className = 'cart-count';
-        countSpan.textContent = cartCount;
-        cartBtn.appendChild(countSpan);
-      }
-    } else {
-      cartCountEl.textContent = cartCount;
-    }
-  } else if (cartCountEl) {
-    cartCountEl.remove();
-  }
+  group.classList.toggle('has-error', Boolean(message));
+  input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  group.querySelector('.field-error').textContent = message || '';
+}
 
-  // Update total
-  const totalEl = document.querySelector('.cart-total span:last-child');
-  if (totalEl) {
-    totalEl.textContent = formatPrice(cart.total, storeData?.configuration?.currency || 'USD');
-  }
+/**
+ * Validate the whole checkout form and show inline errors
+ * @returns {Object} Errors keyed by field name
+ */
+function validateCheckoutForm(form) {
+  const values = getCheckoutValues(form);
+  const errors = {};
 
-  // Update checkout button
-  const checkoutBtn = document.querySelector('.checkout-btn');
-  if (checkoutBtn) {
-    checkoutBtn.disabled = cart.items.length === 0;
-  }
+  getCheckoutSchema().forEach(field => {
+    const message = validateCheckoutField(field, values);
+    if (message) errors[field.name] = message;
+    setCheckoutFieldError(form, field.name, message);
+  });
+
+  return errors;
 }
 
 /**
- * Toggle cart panel
+ * Validate a field when it loses focus
+ * @param {Event} event - focusout event from a field
+ * @param {HTMLFormElement} form - Checkout form
  */
-function toggleCart() {
-  const cartPanel = document.getElementById('cart-panel');
-  if (cartPanel) {
-    cartPanel.classList.toggle('open');
-  }
+function handleCheckoutBlur(event, form) {
+  const field = getCheckoutSchema().find(f => f.name === event.target.name);
+  if (!field) return;
+
+  // Don't flag untouched empty fields while the shopper is tabbing through
+  if (!event.target.value && !form.querySelector(`[data-field="${field.name}"]`).classList.contains('has-error')) return;
+
+  setCheckoutFieldError(form, field.name, validateCheckoutField(field, getCheckoutValues(form)));
 }
 
 /**
- * Handle checkout
+ * Re-check fields with errors as they're corrected, and update conditional fields
+ * @param {Event} event - input or change event from a field
+ * @param {HTMLFormElement} form - Checkout form
  */
-async function handleCheckout() {
-  if (!api) {
-    console.error('API client not available');
-    return;
-  }
+function handleCheckoutChange(event, form) {
+  const values = getCheckoutValues(form);
+  const schema = getCheckoutSchema();
 
-  if (cart.items.length === 0) {
-    alert('Your cart is empty');
-    return;
-  }
+  schema.forEach(field => {
+    const group = form.querySelector(`[data-field="${field.name}"]`);
+    if (!group) return;
 
-  // Show checkout modal
-  showCheckoutModal();
+    // Show or hide conditional fields; hidden fields are disabled so they aren't submitted
+    const visible = isFieldVisible(field, values);
+    group.classList.toggle('hidden', !visible);
+    form.elements[field.name].disabled = !visible;
+
+    const required = resolveFieldRule(field.required, values);
+    group.querySelector('label').textContent = `${field.label}${required ? ' *' : ''}`;
+
+    if (group.classList.contains('has-error')) {
+      setCheckoutFieldError(form, field.name, validateCheckoutField(field, values));
+    }
+  });
+
+  // The delivery fee depends on the delivery method, so keep the totals and the cart in step
+  if (values.delivery_method && themeStore.dispatch('setDeliveryMethod', values.delivery_method).length > 0) {
+    form.querySelector('.checkout-totals').outerHTML = renderCheckoutTotals(values.delivery_method);
+  }
 }
 
 /**
  * Show checkout modal
  */
 function showCheckoutModal() {
-  const modal = document.createElement('div');
-  modal.className = 'modal-overlay';
-  modal.innerHTML = `
+  const schema = getCheckoutSchema();
+  const deliveryOptions = getDeliveryMethodOptions();
+
+  // Preselect the first option of each select so conditional fields start in the right state
+  const values = {};
+  schema.forEach(field => {
+    values[field.name] = field.type === 'select' && field.options.length > 0 ? field.options[0].value : '';
+  });
+  values.delivery_method = getSelectedDeliveryMethod() || values.delivery_method;
+  themeStore.dispatch('setDeliveryMethod', values.delivery_method);
+
+  closeCheckoutModal();
+  checkoutView = new Dialog({
+    render: () => renderCheckoutModal(schema, values, deliveryOptions),
+    labelledBy: 'checkout-title',
+    onDismiss: () => closeCheckoutModal()
+  }).open();
+}
+
+/**
+ * Close the checkout form
+ */
+function closeCheckoutModal() {
+  if (checkoutView) {
+    checkoutView.unmount();
+    checkoutView = null;
+  }
+}
+
+/**
+ * Render the checkout form modal
+ */
+function renderCheckoutModal(schema, values, deliveryOptions) {
+  return `
     <div class="modal">
       <div class="modal-header">
-        <h2>Checkout</h2>
-        <button class="close-cart" onclick="this.closest('.modal-overlay').remove()">×</button>
+        <h2 id="checkout-title">${escapeHtml(t('checkout.title'))}</h2>
+        <button class="close-cart" data-action="close-checkout" aria-label="${escapeHtml(t('common.close'))}">×</button>
       </div>
       <div class="modal-body">
-        <form id="checkout-form" onsubmit="submitCheckout(event)">
-          <div class="form-group">
-            <label for="customer_name">Name *</label>
-            <input type="text" id="customer_name" name="customer_name" required>
-          </div>
-          <div class="form-group">
-            <label for="customer_email">Email *</label>
-            <input type="email" id="customer_email" name="customer_email" required>
-          </div>
-          <div class="form-group">
-            <label for="customer_phone">Phone *</label>
-            <input type="tel" id="customer_phone" name="customer_phone" required>
-          </div>
-          <div class="form-group">
-            <label for="delivery_method">Delivery Method *</label>
-            <select id="delivery_method" name="delivery_method" required>
-              ${storeData?.configuration?.delivery_enabled ? '<option value="delivery">Delivery</option>' : ''}
-              ${storeData?.configuration?.pickup_enabled ? '<option value="pickup">Pickup</option>' : ''}
-            </select>
-          </div>
-          <div class="form-group">
-            <label for="delivery_address">Delivery Address</label>
-            <input type="text" id="delivery_address" name="delivery_address">
-          </div>
-          <div class="form-group">
-            <label for="payment_method">Payment Method *</label>
-            <select id="payment_method" name="payment_method" required>
-              <option value="cash">Cash</option>
-              <option value="card">Card</option>
-              <option value="online">Online</option>
-            </select>
-          </div>
-          <div class="form-group">
-            <label for="special_instructions">Special Instructions</label>
-            <textarea id="special_instructions" name="special_instructions" rows="3"></textarea>
-          </div>
-          <div class="form-group">
-            <label for="promotion_code">Promotion Code (Optional)</label>
-            <input type="text" id="promotion_code" name="promotion_code">
+        ${deliveryOptions.length === 0 ? `
+          <div class="error">
+            <p>${escapeHtml(t('checkout.notAccepting'))}</p>
           </div>
-          <button type="submit" class="checkout-btn">Place Order</button>
-        </form>
+        ` : `
+          <form id="checkout-form" novalidate data-action="submit:submit-checkout focusout:checkout-blur input:checkout-change change:checkout-change">
+            <div class="form-error" role="alert"></div>
+            ${schema.map(field => renderCheckoutField(field, values)).join('')}
+            ${renderCheckoutTotals(values.delivery_method)}
+            <button type="submit" class="checkout-btn">${escapeHtml(t('checkout.placeOrder'))}</button>
+          </form>
+        `}
       </div>
     </div>
   `;
-  
-  document.body.appendChild(modal);
+}
+
+/**
+ * Render the order totals shown above the Place Order button
+ */
+function renderCheckoutTotals(deliveryMethod) {
+  const totals = calculateCartTotals(deliveryMethod);
+
+  return `
+    <div class="checkout-totals">
+      ${renderTotalsBreakdown(totals)}
+      ${totals.minimumOrderError ? `
+        <p class="cart-minimum-order" role="status">${escapeHtml(totals.minimumOrderError)}</p>
+      ` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Map validation errors returned by the checkout API onto form fields
+ * The API may return { details: { fields: { customer_email: "..." } } } or { details: { customer_email: "..." } }
+ * @returns {boolean} Whether any error was shown on a field
+ */
+function showServerCheckoutErrors(form, error) {
+  const details = error.details?.fields || error.details;
+  if (!details || typeof details !== 'object') return false;
+
+  const schema = getCheckoutSchema();
+  let mapped = false;
+
+  Object.entries(details).forEach(([name, message]) => {
+    if (!schema.some(field => field.name === name) || !form.elements[name]) return;
+    setCheckoutFieldError(form, name, Array.isArray(message) ? message.join(' ') : String(message));
+    mapped = true;
+  });
+
+  return mapped;
+}
+
+/**
+ * Focus the first checkout field with an error
+ */
+function focusFirstCheckoutError(form) {
+  form.querySelector('.has-error input, .has-error select, .has-error textarea')?.focus();
 }
 
 /**
@@ -617,104 +3251,444 @@ async function submitCheckout(event) {
   }
 
   const form = event.target;
-  const formData = new FormData(form);
+  const formError = form.querySelector('.form-error');
+  formError.textContent = '';
+
+  const errors = validateCheckoutForm(form);
+  if (Object.keys(errors).length > 0) {
+    focusFirstCheckoutError(form);
+    return;
+  }
+
+  const values = getCheckoutValues(form);
+  const { promotion, minimumOrderError } = calculateCartTotals(values.delivery_method);
+  if (minimumOrderError) {
+    formError.textContent = minimumOrderError;
+    return;
+  }
+
   const orderData = {
-    customer_name: formData.get('customer_name'),
-    customer_email: formData.get('customer_email'),
-    customer_phone: formData.get('customer_phone'),
-    delivery_address: formData.get('delivery_address') || '',
-    delivery_method: formData.get('delivery_method'),
-    payment_method: formData.get('payment_method'),
-    special_instructions: formData.get('special_instructions') || '',
-    promotion_code: formData.get('promotion_code') || '',
-    cart_items: cart.items.map(item => ({
+    customer_name: values.customer_name,
+    customer_email: values.customer_email,
+    customer_phone: values.customer_phone,
+    delivery_address: values.delivery_method === 'delivery' ? values.delivery_address : '',
+    delivery_method: values.delivery_method,
+    payment_method: values.payment_method,
+    special_instructions: values.special_instructions,
+    promotion_code: promotion ? promotion.code : '',
+    cart_items: themeStore.state.cart.items.map(item => ({
       product_id: item.product_id,
       quantity: item.quantity,
-      unit_price: item.unit_price
+      unit_price: item.unit_price,
+      variants: item.variants || {}
     }))
   };
 
   const submitBtn = form.querySelector('button[type="submit"]');
   if (submitBtn) {
     submitBtn.disabled = true;
-    submitBtn.textContent = 'Processing...';
+    submitBtn.textContent = t('checkout.processing');
   }
 
   try {
     const order = await api.checkout(orderData);
     
-    // Show success message
-    alert(`Order placed successfully! Order number: ${order.order_number}`);
-    
-    // Redirect to order tracking if available
-    if (order.tracking_url) {
-      window.location.href = order.tracking_url;
-    } else {
-      // Close modal and reset cart
-      document.querySelector('.modal-overlay')?.remove();
-      cart = { items: [], subtotal: 0, tax: 0, total: 0 };
-      updateCartDisplay();
-      toggleCart();
-    }
+    // Close modal and reset cart
+    closeCheckoutModal();
+    themeStore.dispatch('orderPlaced', order);
+    removeCart();
+    themeEvents.emit('checkout:completed', { order, orderData });
+
+    // Show the order tracking page
+    navigateTo(orderPath(order.order_number));
   } catch (error) {
     console.error('Error during checkout:', error);
-    alert(`Checkout failed: ${error.message || 'Please try again.'}`);
+
+    if (error.details?.fields?.promotion_code) {
+      formError.textContent = error.details.fields.promotion_code;
+    } else if (error.code === 'MINIMUM_ORDER_NOT_MET') {
+      formError.textContent = error.message;
+    } else if (showServerCheckoutErrors(form, error)) {
+      formError.textContent = t('checkout.correctFields');
+      focusFirstCheckoutError(form);
+    } else {
+      formError.textContent = getErrorMessage(error, 'checkout.failed');
+    }
     
     if (submitBtn) {
       submitBtn.disabled = false;
-      submitBtn.textContent = 'Place Order';
+      submitBtn.textContent = t('checkout.placeOrder');
     }
   }
 }
 
 /**
- * Format price with currency
+ * Order tracking
+ *
+ * Orders move through these statuses; "delivered" and "cancelled" are final.
+ * While an order is in any other status the order page polls getOrderStatus.
  */
-function formatPrice(price, currency = 'USD') {
-  return new Intl.NumberFormat('en-US', {
-    style: 'currency',
-    currency: currency
-  }).format(price);
+const ORDER_STATUS_STEPS = ['pending', 'preparing', 'ready', 'out_for_delivery', 'delivered'];
+const ORDER_TERMINAL_STATUSES = ['delivered', 'cancelled'];
+const ORDER_POLL_INTERVAL = 15000; // milliseconds
+
+const ORDER_STATUSES = [...ORDER_STATUS_STEPS, 'cancelled'];
+
+/**
+ * Get the display label for an order status
+ * Unknown statuses from the API are shown as they are.
+ */
+function getOrderStatusLabel(status) {
+  return ORDER_STATUSES.includes(status) ? t(`order.status.${status}`) : status;
+}
+
+let orderPollTimer = null;
+let orderPollingEnabled = true;
+
+/**
+ * Show order lookup form (route handler for "#/order")
+ */
+function showOrderLookup() {
+  mountPage('order', new Component({
+    render: () => `
+      <section class="order-page">
+        <h2>${escapeHtml(t('order.trackTitle'))}</h2>
+        ${renderOrderLookupForm()}
+      </section>
+    `
+  }));
 }
 
 /**
- * Escape HTML to prevent XSS
+ * Render the order number lookup form
  */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
+function renderOrderLookupForm(orderNumber = '') {
+  return `
+    <form class="order-lookup" data-action="order-lookup">
+      <label for="order_lookup_number">${escapeHtml(t('order.number'))}</label>
+      <div class="order-lookup-row">
+        <input type="text" id="order_lookup_number" name="order_number" placeholder="ORD-2024-001" value="${escapeHtml(orderNumber)}" required>
+        <button type="submit" class="checkout-btn">${escapeHtml(t('order.track'))}</button>
+      </div>
+    </form>
+  `;
 }
 
 /**
- * Handle image loading errors - prevents infinite loops
+ * Submit the order lookup form
  */
-function handleImageError(img, placeholder) {
-  // Prevent infinite loop by checking if already set to placeholder
-  if (img.dataset.fallbackSet === 'true') {
-    return; // Already tried fallback, stop trying
+function submitOrderLookup(event) {
+  event.preventDefault();
+
+  const orderNumber = new FormData(event.target).get('order_number').trim();
+  if (orderNumber) {
+    navigateTo(orderPath(orderNumber));
   }
-  
-  // Mark as fallback set
-  img.dataset.fallbackSet = 'true';
-  
-  // Remove error handler to prevent infinite loop
-  img.onerror = null;
-  
-  // Set placeholder image
+}
+
+/**
+ * Show order page (route handler for "#/order/:orderNumber")
+ * @param {string} orderNumber - Order number (e.g., "ORD-2024-001")
+ */
+async function showOrderPage(orderNumber) {
+  mountPage('order', createOrderPage(), { orderNumber, order: null, error: null });
+
+  await refreshOrderPage(orderNumber);
+}
+
+/**
+ * Create the order page; status polling stops when it's unmounted
+ */
+function createOrderPage() {
+  return new Component({
+    render: renderOrderPage,
+    unmount: stopOrderPolling
+  });
+}
+
+/**
+ * Render the order page while loading, once loaded, or when the order couldn't be loaded
+ */
+function renderOrderPage({ orderNumber, order, error }) {
+  if (order) {
+    return renderOrder(order);
+  }
+
+  if (error) {
+    // Without a connection the order may well exist; say so instead of "not found"
+    const offline = error instanceof NetworkError || error instanceof TimeoutError;
+    return `
+      <section class="order-page">
+        <div class="error">
+          <h2>${escapeHtml(offline ? t('common.error') : t('order.notFoundTitle'))}</h2>
+          <p>${escapeHtml(offline ? getErrorMessage(error, 'order.notFoundTitle') : t('order.notFound', { number: orderNumber }))}</p>
+        </div>
+        ${renderOrderLookupForm(orderNumber)}
+      </section>
+    `;
+  }
+
+  return `
+    <div class="loading">
+      <div class="spinner"></div>
+      <p>${escapeHtml(t('order.loading'))}</p>
+    </div>
+  `;
+}
+
+/**
+ * Fetch the order and re-render the order page, scheduling the next poll
+ * while the order is still in progress
+ */
+async function refreshOrderPage(orderNumber) {
   try {
-    img.src = placeholder;
-  } catch (e) {
-    // If setting src fails, hide the image
-    img.style.display = 'none';
+    const order = await api.getOrderStatus(orderNumber);
+
+    // The shopper may have navigated elsewhere while the order was loading
+    if (!isOrderPageActive(orderNumber)) return;
+
+    currentPage.update({ order });
+
+    if (!ORDER_TERMINAL_STATUSES.includes(order.status)) {
+      scheduleOrderPoll(orderNumber);
+    }
+  } catch (error) {
+    console.error('Error loading order:', error);
+    if (!isOrderPageActive(orderNumber)) return;
+
+    // Keep showing the last known status if a background refresh fails
+    if (currentPage.props.order) {
+      scheduleOrderPoll(orderNumber);
+      return;
+    }
+
+    currentPage.update({ error });
+  }
+}
+
+/**
+ * Check that the order page for an order is still the current page
+ */
+function isOrderPageActive(orderNumber) {
+  return currentView === 'order' && Boolean(currentPage) && currentPage.props.orderNumber === orderNumber;
+}
+
+/**
+ * Schedule the next order status poll
+ */
+function scheduleOrderPoll(orderNumber) {
+  stopOrderPolling();
+  if (!orderPollingEnabled) return;
+
+  orderPollTimer = setTimeout(() => {
+    orderPollTimer = null;
+    if (!isOrderPageActive(orderNumber)) return;
+
+    // Don't poll in a background tab, check again later
+    if (document.hidden) {
+      scheduleOrderPoll(orderNumber);
+      return;
+    }
+
+    refreshOrderPage(orderNumber);
+  }, ORDER_POLL_INTERVAL);
+}
+
+/**
+ * Stop polling for order status updates
+ */
+function stopOrderPolling() {
+  if (orderPollTimer) {
+    clearTimeout(orderPollTimer);
+    orderPollTimer = null;
+  }
+}
+
+/**
+ * Turn automatic order status refresh on or off
+ */
+function setOrderPolling(enabled, orderNumber) {
+  orderPollingEnabled = enabled;
+
+  if (enabled) {
+    refreshOrderPage(orderNumber);
+  } else {
+    stopOrderPolling();
+  }
+}
+
+/**
+ * Render order status page
+ */
+function renderOrder(order) {
+  const { storeData, products, lastPlacedOrder } = themeStore.state;
+  const currency = storeData?.configuration?.currency || 'USD';
+  const isFinal = ORDER_TERMINAL_STATUSES.includes(order.status);
+  const justPlaced = lastPlacedOrder === order.order_number;
+  const deliveryMethod = order.delivery_method
+    ? (order.delivery_method === 'pickup' ? t('delivery.pickup') : t('delivery.delivery'))
+    : '';
+
+  const totals = [
+    [t('totals.subtotal'), order.subtotal],
+    [t('totals.discount'), order.discount ? -order.discount : undefined],
+    [t('totals.tax'), order.tax],
+    [t('totals.deliveryFee'), order.delivery_method === 'pickup' ? undefined : order.delivery_fee]
+  ].filter(([, amount]) => typeof amount === 'number');
+  const estimatedTimeKey = order.delivery_method === 'pickup' ? 'order.estimatedReady' : 'order.estimatedDelivery';
+
+  return `
+    <section class="order-page" data-order-number="${escapeHtml(order.order_number)}">
+      ${justPlaced ? `
+        <div class="order-success">
+          <strong>${escapeHtml(t('order.placedTitle'))}</strong>
+          <span>${escapeHtml(t('order.placedHint'))}</span>
+        </div>
+      ` : ''}
+      <h2>${escapeHtml(t('order.title', { number: order.order_number }))}</h2>
+      <p class="order-status">
+        ${i18n.html('order.statusLine', { status: `<strong>${escapeHtml(getOrderStatusLabel(order.status))}</strong>` })}
+        ${!isFinal && order.estimated_delivery_time ? `<br>${escapeHtml(t(estimatedTimeKey, { time: formatDateTime(order.estimated_delivery_time) }))}` : ''}
+      </p>
+
+      ${renderOrderTimeline(order)}
+
+      <div class="order-details">
+        ${order.customer_name ? `<p><span>${escapeHtml(t('order.name'))}</span><span>${escapeHtml(order.customer_name)}</span></p>` : ''}
+        ${deliveryMethod ? `<p><span>${escapeHtml(t('order.deliveryMethod'))}</span><span>${escapeHtml(deliveryMethod)}</span></p>` : ''}
+        ${order.delivery_method === 'delivery' && order.delivery_address ? `<p><span>${escapeHtml(t('order.address'))}</span><span>${escapeHtml(order.delivery_address)}</span></p>` : ''}
+        ${order.created_at ? `<p><span>${escapeHtml(t('order.placed'))}</span><span>${escapeHtml(formatDateTime(order.created_at))}</span></p>` : ''}
+      </div>
+
+      <div class="order-items">
+        ${(order.items || []).map(item => {
+          const product = products.find(p => String(p.id) === String(item.product_id));
+          const variantText = formatVariants(item.variants, product);
+          return `
+            <div class="cart-item">
+              <div class="cart-item-info">
+                <div class="cart-item-name">${escapeHtml(item.product_name)}</div>
+                ${variantText ? `<div class="cart-item-variants">${escapeHtml(variantText)}</div>` : ''}
+                <div class="cart-item-price">${formatPrice(item.unit_price, currency)} × ${item.quantity}</div>
+              </div>
+              <div>${formatPrice(item.total_price ?? item.unit_price * item.quantity, currency)}</div>
+            </div>
+          `;
+        }).join('')}
+      </div>
+
+      <div class="order-totals">
+        ${totals.map(([label, amount]) => `
+          <div class="order-total-row">
+            <span>${escapeHtml(label)}</span>
+            <span>${formatPrice(amount, currency)}</span>
+          </div>
+        `).join('')}
+        <div class="cart-total">
+          <span>${escapeHtml(t('totals.total'))}</span>
+          <span>${formatPrice(order.total, currency)}</span>
+        </div>
+      </div>
+
+      ${!isFinal ? `
+        <label class="order-polling">
+          <input type="checkbox" ${orderPollingEnabled ? 'checked' : ''} data-action="toggle-order-polling" data-order-number="${escapeHtml(order.order_number)}">
+          ${escapeHtml(t('order.autoRefresh'))}
+        </label>
+      ` : ''}
+      <p class="text-center"><a href="${HashRouter.href('/')}">${escapeHtml(t('order.continueShopping'))}</a></p>
+    </section>
+  `;
+}
+
+/**
+ * Render the order status timeline
+ */
+function renderOrderTimeline(order) {
+  // Pickup orders are never out for delivery
+  const steps = order.delivery_method === 'pickup'
+    ? ORDER_STATUS_STEPS.filter(step => step !== 'out_for_delivery')
+    : ORDER_STATUS_STEPS;
+
+  const history = Array.isArray(order.status_history) ? order.status_history : [];
+  const timestampFor = status => history.find(entry => entry.status === status)?.timestamp;
+
+  if (order.status === 'cancelled') {
+    const cancelledAt = timestampFor('cancelled') || order.updated_at;
+    return `
+      <ol class="order-timeline">
+        <li class="timeline-step cancelled">
+          <span class="timeline-label">${escapeHtml(getOrderStatusLabel('cancelled'))}</span>
+          ${cancelledAt ? `<span class="timeline-time">${escapeHtml(formatDateTime(cancelledAt))}</span>` : ''}
+        </li>
+      </ol>
+    `;
   }
+
+  const currentIndex = steps.indexOf(order.status);
+
+  return `
+    <ol class="order-timeline">
+      ${steps.map((step, index) => {
+        const state = index < currentIndex ? 'complete' : index === currentIndex ? 'current' : 'upcoming';
+        const label = step === 'delivered' && order.delivery_method === 'pickup'
+          ? t('order.status.pickedUp')
+          : getOrderStatusLabel(step);
+        const timestamp = timestampFor(step) || (step === 'pending' ? order.created_at : null);
+
+        return `
+          <li class="timeline-step ${state}" ${state === 'current' ? 'aria-current="step"' : ''}>
+            <span class="timeline-label">${escapeHtml(label)}</span>
+            ${timestamp && state !== 'upcoming' ? `<span class="timeline-time">${escapeHtml(formatDateTime(timestamp))}</span>` : ''}
+          </li>
+        `;
+      }).join('')}
+    </ol>
+  `;
+}
+
+/**
+ * Format price with currency for the active locale
+ */
+function formatPrice(price, currency = 'USD') {
+  return i18n.formatPrice(price, currency);
+}
+
+/**
+ * Format an ISO 8601 date for display in the active locale
+ */
+function formatDateTime(value) {
+  return i18n.formatDateTime(value);
 }
 
-// Make functions globally available for onclick handlers
-window.addToCart = addToCart;
-window.updateCartQuantity = updateCartQuantity;
-window.toggleCart = toggleCart;
-window.handleCheckout = handleCheckout;
-window.submitCheckout = submitCheckout;
-window.handleImageError = handleImageError;
+/**
+ * Create a debounced version of a function
+ * The returned function has a cancel() method to drop a pending call.
+ */
+function debounce(fn, wait) {
+  let timer = null;
+
+  const debounced = (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      timer = null;
+      fn(...args);
+    }, wait);
+  };
+
+  debounced.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+
+  return debounced;
+}
 
+/**
+ * Replace a store logo that fails to load with the initials badge rendered after it
+ */
+function showLogoInitials(img) {
+  img.style.display = 'none';
+  const initialsEl = img.nextElementSibling;
+  if (initialsEl) initialsEl.style.display = 'flex';
+}
@@ -0,0 +1,191 @@
+/**
+ * Suchify Theme Offline Support
+ *
+ * Helpers for using the theme without a connection, alongside the service
+ * worker (sw.js) that keeps theme files and store, product and category
+ * responses available offline:
+ * - OfflineQueue keeps actions made while offline (e.g., adding to the cart)
+ *   in localStorage and sends them when the connection is back:
+ *
+ *     const queue = new OfflineQueue('suchify_cart_queue_my-store');
+ *     queue.add({ product_id: '1', quantity: 2 });
+ *     window.addEventListener('online', () => queue.flush(entry => api.addToCart(entry.product_id, entry.quantity)));
+ *
+ * - WebAppManifest builds the web app manifest (name, colors, icons) that
+ *   browsers install the store from. The build writes it to app.webmanifest
+ *   and links it from index.html (see scripts/build.js); browsers don't
+ *   install from a manifest made in the page. The theme's manifest.json
+ *   describes the theme to Suchify and is not a web app manifest.
+ */
+
+class OfflineQueue {
+  /**
+   * @param {string} storageKey - localStorage key for the queue
+   */
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.memory = []; // Used when localStorage is full or disabled
+  }
+
+  /**
+   * Queued entries, oldest first
+   * @returns {Array<Object>} Entries with the fields passed to add(), plus id and queued_at
+   */
+  get entries() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(saved) ? saved : this.memory;
+    } catch (error) {
+      return this.memory;
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Queue an entry
+   * @param {Object} data - Entry fields (must be JSON-serializable)
+   * @returns {Object} Queued entry
+   */
+  add(data) {
+    const entry = { ...data, id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`, queued_at: new Date().toISOString() };
+    this.save([...this.entries, entry]);
+    return entry;
+  }
+
+  /**
+   * Remove an entry
+   * @param {string} id - Entry ID
+   */
+  remove(id) {
+    this.save(this.entries.filter(entry => entry.id !== id));
+  }
+
+  /**
+   * Send queued entries in order
+   * Entries that are sent, or that the server rejects, leave the queue. When
+   * an entry fails because the connection is still down, it and the entries
+   * after it stay queued for the next flush.
+   * @param {Function} send - Called with each entry; returns a promise
+   * @returns {Promise<{sent: Array, failed: Array<{entry: Object, error: Error}>, remaining: number}>} Results
+   */
+  async flush(send) {
+    if (this.flushing) return this.flushing;
+
+    this.flushing = (async () => {
+      const sent = [];
+      const failed = [];
+
+      for (const entry of this.entries) {
+        try {
+          sent.push({ entry, result: await send(entry) });
+        } catch (error) {
+          if (OfflineQueue.isConnectionError(error)) break;
+          failed.push({ entry, error });
+        }
+        this.remove(entry.id);
+      }
+
+      return { sent, failed, remaining: this.size };
+    })();
+
+    try {
+      return await this.flushing;
+    } finally {
+      this.flushing = null;
+    }
+  }
+
+  /**
+   * Drop every queued entry
+   */
+  clear() {
+    this.save([]);
+  }
+
+  save(entries) {
+    this.memory = entries;
+    try {
+      if (entries.length === 0) {
+        localStorage.removeItem(this.storageKey);
+      } else {
+        localStorage.setItem(this.storageKey, JSON.stringify(entries));
+      }
+    } catch (error) {
+      console.warn('Could not save offline queue:', error);
+    }
+  }
+
+  /**
+   * Whether the browser reports being offline
+   */
+  static get offline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * Whether an error means the request never reached the server
+   * (a timeout may have reached it, so it isn't one)
+   */
+  static isConnectionError(error) {
+    return (typeof NetworkError !== 'undefined' && error instanceof NetworkError) || error?.name === 'NetworkError';
+  }
+}
+
+class WebAppManifest {
+  /**
+   * Build a web app manifest
+   * @param {Object} options - Manifest fields
+   * @param {string} options.name - App name (the store's name)
+   * @param {string} options.shortName - Name under the home screen icon (defaults to the name, or its first word when longer than 12 characters)
+   * @param {string} options.description - Description
+   * @param {string} options.startUrl - URL opened by the installed app, relative to the manifest (defaults to "./")
+   * @param {string} options.scope - URL the app covers, relative to the manifest (defaults to "./")
+   * @param {string} options.themeColor - Toolbar color
+   * @param {string} options.backgroundColor - Splash screen color
+   * @param {string} options.lang - Language tag
+   * @param {string} options.dir - Text direction ("ltr" or "rtl")
+   * @param {Array<{src: string, sizes: string, type: string}>} options.icons - Icons, with URLs relative to the manifest
+   * @returns {Object} Web app manifest
+   */
+  static create({ name, shortName, description, startUrl = './', scope = './', themeColor, backgroundColor, lang, dir, icons = [] }) {
+    const manifest = {
+      name,
+      short_name: shortName || (name.length > 12 ? name.split(/\s+/)[0].slice(0, 12) : name),
+      start_url: startUrl,
+      scope,
+      display: 'standalone',
+      icons
+    };
+
+    if (description) manifest.description = description;
+    if (themeColor) manifest.theme_color = themeColor;
+    if (backgroundColor) manifest.background_color = backgroundColor;
+    if (lang) manifest.lang = lang;
+    if (dir) manifest.dir = dir;
+
+    return manifest;
+  }
+
+  /**
+   * Color the browser toolbar, replacing the manifest's theme color while the page is open
+   * @param {string} color - CSS color
+   * @param {Document} doc - Document to color
+   */
+  static setThemeColor(color, doc = document) {
+    let meta = doc.querySelector('meta[name="theme-color"]');
+    if (!meta) {
+      meta = doc.createElement('meta');
+      meta.name = 'theme-color';
+      doc.head.appendChild(meta);
+    }
+    meta.content = color;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { OfflineQueue, WebAppManifest };
+}
@@ -0,0 +1,167 @@
+/**
+ * Suchify Theme Responsive Images
+ *
+ * Renders an image that picks the smallest size variant wide enough for the
+ * slot it's in, keeps its space while loading and shows a placeholder until
+ * it arrives:
+ *
+ *   ResponsiveImage.render({
+ *     url: 'https://cdn.example.com/pizza.jpg',
+ *     width: 1200,
+ *     height: 800,
+ *     variants: [
+ *       { url: 'https://cdn.example.com/pizza-400.webp', width: 400, type: 'image/webp' },
+ *       { url: 'https://cdn.example.com/pizza-400.jpg', width: 400 }
+ *     ],
+ *     color: '#ef4444',
+ *     placeholder: 'data:image/jpeg;base64,...'
+ *   }, { alt: 'Pizza', sizes: '(max-width: 480px) 100vw, 420px', fallback: PLACEHOLDER });
+ *
+ * - Variants become `srcset` candidates (with `sizes`); variants with a type
+ *   go in a <source> per type, so browsers skip formats they can't show.
+ *   The original is a candidate too when no variant is as wide.
+ * - With a width and height, the wrapper reserves the image's aspect ratio
+ *   (the --image-ratio CSS variable) so the page doesn't shift when it loads.
+ * - The wrapper shows `color` and a blurred `placeholder` behind the image
+ *   until it loads.
+ * - The <img> declares its load and error actions (see scripts/actions.js);
+ *   register them to call ResponsiveImage.loaded() and ResponsiveImage.failed().
+ *   A variant that fails to load falls back to the original, and the
+ *   original to the `fallback` image.
+ * Everything but `url` is optional.
+ */
+
+// Formats listed first are preferred when a browser supports several
+const SOURCE_TYPE_ORDER = ['image/avif', 'image/webp'];
+
+// CSS colors accepted for the placeholder (hex, rgb() and hsl())
+const COLOR_PATTERN = /^(#[0-9a-f]{3,8}|(rgb|hsl)a?\([\d\s.,%/]+\))$/i;
+
+// Placeholder images: data URIs of raster images or SVG, or absolute http(s) URLs
+const PLACEHOLDER_PATTERN = /^(data:image\/(png|jpeg|gif|webp|avif|svg\+xml)[;,]|https?:\/\/)/i;
+
+class ResponsiveImage {
+  /**
+   * Render an image
+   * @param {Object} image - Image from the API (see above)
+   * @param {Object} options - How to show it
+   * @param {string} options.alt - Alternative text
+   * @param {string} options.sizes - Width of the image's slot, as a `sizes` attribute (defaults to "100vw")
+   * @param {string} options.className - Extra class names for the wrapper
+   * @param {string} options.loading - "lazy" (default) or "eager"
+   * @param {string} options.fallback - Image shown when this one fails to load
+   * @returns {string} HTML
+   */
+  static render(image, { alt = '', sizes = '100vw', className = '', loading = 'lazy', fallback = '' } = {}) {
+    const variants = (Array.isArray(image.variants) ? image.variants : [])
+      .filter(variant => variant && variant.url && Number.isFinite(Number(variant.width)) && Number(variant.width) > 0);
+
+    // Untyped variants are candidates for the <img> itself, next to the original
+    const untyped = variants.filter(variant => !variant.type);
+    if (untyped.length > 0 && ResponsiveImage.isSize(image.width)) {
+      untyped.push({ url: image.url, width: image.width });
+    }
+
+    const types = [...new Set(variants.filter(variant => variant.type).map(variant => variant.type))]
+      .sort((a, b) => ResponsiveImage.typeRank(a) - ResponsiveImage.typeRank(b));
+    const sources = types.map(type => `
+      <source type="${escapeHtml(type)}" srcset="${escapeHtml(ResponsiveImage.srcset(ResponsiveImage.withOriginal(image, variants.filter(variant => variant.type === type))))}" sizes="${escapeHtml(sizes)}">
+    `).join('');
+
+    const hasSize = ResponsiveImage.isSize(image.width) && ResponsiveImage.isSize(image.height);
+    const style = [
+      hasSize ? `--image-ratio: ${Number(image.width)} / ${Number(image.height)}` : '',
+      COLOR_PATTERN.test(image.color || '') ? `--image-color: ${image.color}` : '',
+      PLACEHOLDER_PATTERN.test(image.placeholder || '') ? `--image-placeholder: ${ResponsiveImage.cssUrl(image.placeholder)}` : ''
+    ].filter(Boolean).join('; ');
+
+    return `<span class="responsive-image is-loading${className ? ` ${escapeHtml(className)}` : ''}"${style ? ` style="${escapeHtml(style)}"` : ''}><picture>${sources.trim()}<img
+      src="${escapeHtml(image.url)}"
+      ${untyped.length > 0 ? `srcset="${escapeHtml(ResponsiveImage.srcset(untyped))}" sizes="${escapeHtml(sizes)}"` : ''}
+      ${hasSize ? `width="${Number(image.width)}" height="${Number(image.height)}"` : ''}
+      alt="${escapeHtml(alt)}"
+      loading="${loading === 'eager' ? 'eager' : 'lazy'}"
+      decoding="async"
+      ${fallback ? `data-fallback="${escapeHtml(fallback)}"` : ''}
+      data-action="load:image-loaded error:image-fallback"></picture></span>`;
+  }
+
+  /**
+   * Hide the placeholder once the image has loaded
+   * @param {HTMLImageElement} img - The loaded image
+   */
+  static loaded(img) {
+    const wrapper = img.closest('.responsive-image');
+    if (wrapper) wrapper.classList.remove('is-loading');
+  }
+
+  /**
+   * Load the original image instead of a variant that failed, then the
+   * fallback image if the original fails too
+   * The fallback is only tried once, so one that fails too doesn't loop.
+   * @param {HTMLImageElement} img - The image that failed
+   */
+  static failed(img) {
+    if (img.dataset.fallbackSet === 'true') return;
+
+    // A variant failed: drop the variants and load the original from src
+    const picture = img.parentElement;
+    const sources = picture && picture.tagName === 'PICTURE' ? picture.querySelectorAll('source') : [];
+    if (sources.length > 0 || img.hasAttribute('srcset')) {
+      sources.forEach(source => source.remove());
+      img.removeAttribute('srcset');
+      img.removeAttribute('sizes');
+      return;
+    }
+
+    img.dataset.fallbackSet = 'true';
+    if (img.dataset.fallback) {
+      img.src = img.dataset.fallback;
+    } else {
+      img.style.visibility = 'hidden';
+    }
+  }
+
+  /**
+   * A srcset attribute for variants, narrowest first
+   */
+  static srcset(variants) {
+    return variants
+      .slice()
+      .sort((a, b) => Number(a.width) - Number(b.width))
+      .map(variant => `${String(variant.url).replace(/\s/g, encodeURIComponent)} ${Number(variant.width)}w`)
+      .join(', ');
+  }
+
+  /**
+   * Variants of one type, plus the original when none of them is as wide,
+   * so wide slots and high-density screens don't get an upscaled variant
+   */
+  static withOriginal(image, variants) {
+    if (!ResponsiveImage.isSize(image.width) || variants.some(variant => Number(variant.width) >= Number(image.width))) {
+      return variants;
+    }
+    return [...variants, { url: image.url, width: image.width }];
+  }
+
+  static isSize(value) {
+    return Number.isFinite(Number(value)) && Number(value) > 0;
+  }
+
+  static typeRank(type) {
+    const rank = SOURCE_TYPE_ORDER.indexOf(type);
+    return rank === -1 ? SOURCE_TYPE_ORDER.length : rank;
+  }
+
+  /**
+   * A CSS url() for a placeholder image
+   */
+  static cssUrl(url) {
+    return `url("${String(url).replace(/[\\"]/g, '\\$&').replace(/[\r\n]/g, '')}")`;
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ResponsiveImage;
+}
@@ -0,0 +1,188 @@
+/**
+ * Suchify Theme Router
+ *
+ * A small hash-based router so theme pages get shareable URLs and the
+ * browser back button stays inside the store.
+ *
+ * Routes are registered with `:param` placeholders:
+ *   router.on('/product/:id', ({ id }) => showProductDetail(id));
+ *
+ * URLs look like: https://store.example.com/#/category/Pizza
+ */
+
+class HashRouter {
+  constructor() {
+    this.routes = [];
+    this.fallback = null;
+    this.currentPath = null;
+    this.depth = 0;
+    this.handlePopState = this.handlePopState.bind(this);
+    this.handleLinkClick = this.handleLinkClick.bind(this);
+  }
+
+  /**
+   * Register a route
+   * @param {string} pattern - Route pattern (e.g., "/category/:name")
+   * @param {Function} handler - Called with decoded params and the matched path
+   * @returns {HashRouter} The router, for chaining
+   */
+  on(pattern, handler) {
+    const keys = [];
+    const source = pattern
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      });
+
+    this.routes.push({ pattern, regex: new RegExp(`^${source}/?$`), keys, handler });
+    return this;
+  }
+
+  /**
+   * Register the handler for paths that match no route
+   * @param {Function} handler - Called with the unmatched path
+   * @returns {HashRouter} The router, for chaining
+   */
+  otherwise(handler) {
+    this.fallback = handler;
+    return this;
+  }
+
+  /**
+   * Start listening for URL changes and resolve the current URL
+   * @param {HTMLElement} root - Optional element whose "#/" links are handled by the router
+   */
+  start(root) {
+    window.addEventListener('popstate', this.handlePopState);
+    window.addEventListener('hashchange', this.handlePopState);
+
+    if (root) {
+      this.root = root;
+      root.addEventListener('click', this.handleLinkClick);
+    }
+
+    this.depth = history.state?.routerDepth || 0;
+    this.resolve();
+  }
+
+  /**
+   * Stop listening for URL changes
+   */
+  stop() {
+    window.removeEventListener('popstate', this.handlePopState);
+    window.removeEventListener('hashchange', this.handlePopState);
+
+    if (this.root) {
+      this.root.removeEventListener('click', this.handleLinkClick);
+      this.root = null;
+    }
+  }
+
+  /**
+   * Get the current route path from the URL hash
+   * @returns {string} Path (e.g., "/category/Pizza"), "/" when there is no hash
+   */
+  getPath() {
+    const hash = window.location.hash.replace(/^#/, '');
+    return hash.startsWith('/') ? hash : '/';
+  }
+
+  /**
+   * Navigate to a path
+   * @param {string} path - Route path (e.g., "/cart")
+   * @param {Object} options - Navigation options
+   * @param {boolean} options.replace - Replace the current history entry instead of pushing
+   */
+  navigate(path, { replace = false } = {}) {
+    if (path === this.getPath()) {
+      this.resolve(true);
+      return;
+    }
+
+    if (replace) {
+      history.replaceState({ routerDepth: this.depth }, '', `#${path}`);
+    } else {
+      this.depth += 1;
+      history.pushState({ routerDepth: this.depth }, '', `#${path}`);
+    }
+
+    this.resolve();
+  }
+
+  /**
+   * Go back to the previous page if it belongs to the store, otherwise
+   * replace the current entry with a fallback path
+   * @param {string} fallbackPath - Path to use when there is no in-store history
+   */
+  back(fallbackPath = '/') {
+    if (this.depth > 0) {
+      history.back();
+    } else {
+      this.navigate(fallbackPath, { replace: true });
+    }
+  }
+
+  /**
+   * Run the handler for the current URL
+   * @param {boolean} force - Run the handler even if the path has not changed
+   */
+  resolve(force = false) {
+    const path = this.getPath();
+    if (!force && path === this.currentPath) return;
+    this.currentPath = path;
+
+    for (const route of this.routes) {
+      const match = path.match(route.regex);
+      if (!match) continue;
+
+      const params = {};
+      route.keys.forEach((key, index) => {
+        try {
+          params[key] = decodeURIComponent(match[index + 1]);
+        } catch (error) {
+          params[key] = match[index + 1];
+        }
+      });
+
+      route.handler(params, path);
+      return;
+    }
+
+    if (this.fallback) {
+      this.fallback(path);
+    }
+  }
+
+  /**
+   * Build a URL hash for a path, for use in href attributes
+   * @param {string} path - Route path
+   * @returns {string} Hash (e.g., "#/cart")
+   */
+  static href(path) {
+    return `#${path}`;
+  }
+
+  handlePopState(event) {
+    if (event.type === 'popstate') {
+      this.depth = event.state?.routerDepth || 0;
+    }
+    this.resolve();
+  }
+
+  handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0) return;
+    if (event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+
+    const link = event.target.closest('a[href^="#/"]');
+    if (!link || link.target === '_blank') return;
+
+    event.preventDefault();
+    this.navigate(link.getAttribute('href').slice(1));
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HashRouter;
+}
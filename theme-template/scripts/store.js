@@ -0,0 +1,97 @@
+/**
+ * Suchify Theme Store
+ *
+ * Holds the theme's state in one place. State is changed by dispatching
+ * named actions, and subscribers are told which keys changed:
+ *
+ *   const store = new Store({ cart: { items: [] } }, {
+ *     setCart: (state, cart) => ({ cart })
+ *   });
+ *   store.subscribe(['cart'], state => renderCartCount(state.cart));
+ *   store.dispatch('setCart', cart);
+ *
+ * An action receives the current state and its arguments and returns the keys
+ * to change. Values are replaced, never modified in place, so a key counts as
+ * changed when its new value isn't the same object or value as before.
+ */
+
+class Store {
+  /**
+   * @param {Object} initialState - Initial state
+   * @param {Object<string, Function>} actions - Actions by name; each returns the changed keys
+   */
+  constructor(initialState = {}, actions = {}) {
+    this.current = Object.freeze({ ...initialState });
+    this.actions = actions;
+    this.subscribers = [];
+  }
+
+  /**
+   * Current state (read-only; dispatch an action to change it)
+   */
+  get state() {
+    return this.current;
+  }
+
+  /**
+   * Run an action and apply the changes it returns
+   * @param {string} action - Action name
+   * @param {...*} args - Arguments passed to the action after the state
+   * @returns {string[]} Keys that changed
+   */
+  dispatch(action, ...args) {
+    const handler = this.actions[action];
+    if (typeof handler !== 'function') {
+      throw new Error(`Unknown store action "${action}"`);
+    }
+
+    return this.setState(handler(this.current, ...args) || {});
+  }
+
+  /**
+   * Apply changes to the state and notify subscribers
+   * @param {Object} changes - Keys to change
+   * @returns {string[]} Keys that changed
+   */
+  setState(changes) {
+    const changed = Object.keys(changes).filter(key => !Object.is(this.current[key], changes[key]));
+    if (changed.length === 0) return changed;
+
+    this.current = Object.freeze({ ...this.current, ...changes });
+
+    // Copy the list so subscribers can unsubscribe while being notified
+    this.subscribers.slice().forEach(({ keys, listener }) => {
+      if (keys && !keys.some(key => changed.includes(key))) return;
+
+      try {
+        listener(this.current, changed);
+      } catch (error) {
+        console.error('Store subscriber failed:', error);
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * Call a listener when state changes
+   * @param {string[]|Function} keys - State keys to watch, or the listener to call on every change
+   * @param {Function} listener - Called with the state and the changed keys
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(keys, listener) {
+    const subscriber = typeof keys === 'function'
+      ? { keys: null, listener: keys }
+      : { keys, listener };
+
+    this.subscribers.push(subscriber);
+    return () => {
+      this.subscribers = this.subscribers.filter(s => s !== subscriber);
+    };
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Store;
+}
@@ -0,0 +1,234 @@
+/**
+ * Suchify Theme Settings
+ *
+ * Reads the settings schema declared in manifest.json, merges the values a
+ * store has chosen over the schema defaults, and applies them to the page:
+ * - settings with a `cssVariable` set a CSS custom property (e.g., --primary-color)
+ * - settings with an `attribute` set a data attribute used for layout variants
+ *   (e.g., data-product-layout="list")
+ *
+ * Settings are grouped like the manifest's `configurable` flags. A store can
+ * only override settings in groups the manifest marks as configurable.
+ */
+
+const SETTING_TYPES = ['color', 'select', 'number', 'boolean'];
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+class ThemeSettings {
+  /**
+   * @param {Object} schema - manifest.settings: { group: { key: definition } }
+   * @param {Object} configurable - manifest.configurable: { group: boolean }
+   */
+  constructor(schema = {}, configurable = {}) {
+    this.schema = schema || {};
+    this.configurable = configurable || {};
+  }
+
+  /**
+   * Create settings from a parsed manifest.json
+   * @param {Object} manifest - Theme manifest
+   * @returns {ThemeSettings} Theme settings
+   */
+  static fromManifest(manifest) {
+    return new ThemeSettings(manifest?.settings, manifest?.configurable);
+  }
+
+  /**
+   * List every setting definition
+   * @returns {Array<{group: string, key: string, definition: Object}>} Settings in schema order
+   */
+  getDefinitions() {
+    return Object.entries(this.schema).flatMap(([group, settings]) =>
+      Object.entries(settings || {}).map(([key, definition]) => ({ group, key, definition }))
+    );
+  }
+
+  /**
+   * Merge store-provided values over the schema defaults
+   * Unknown keys, values for locked groups and invalid values are ignored with a warning.
+   * @param {Object} overrides - Flat map of setting key to value (e.g., { primary_color: "#dc2626" })
+   * @returns {{values: Object, warnings: string[]}} Resolved settings
+   */
+  resolve(overrides = {}) {
+    const values = {};
+    const warnings = [];
+    const definitions = this.getDefinitions();
+
+    definitions.forEach(({ key, definition }) => {
+      values[key] = definition.default;
+    });
+
+    Object.entries(overrides || {}).forEach(([key, value]) => {
+      if (value === undefined || value === null || value === '') return;
+
+      const setting = definitions.find(item => item.key === key);
+      if (!setting) {
+        warnings.push(`Unknown theme setting "${key}"`);
+        return;
+      }
+      if (this.configurable[setting.group] === false) {
+        warnings.push(`Theme setting "${key}" is not configurable`);
+        return;
+      }
+
+      const normalized = setting.definition.type === 'number' ? Number(value) : value;
+      const error = ThemeSettings.validateValue(setting.definition, normalized);
+      if (error) {
+        warnings.push(`Theme setting "${key}": ${error}`);
+        return;
+      }
+
+      values[key] = normalized;
+    });
+
+    return { values, warnings };
+  }
+
+  /**
+   * Apply resolved settings as CSS custom properties and data attributes
+   * @param {Object} values - Resolved settings from resolve()
+   * @param {HTMLElement} root - Element to apply them to (defaults to <html> so overlays inherit them)
+   */
+  apply(values, root = document.documentElement) {
+    this.getDefinitions().forEach(({ key, definition }) => {
+      const value = values[key];
+      if (value === undefined) return;
+
+      if (definition.cssVariable) {
+        root.style.setProperty(definition.cssVariable, ThemeSettings.toCssValue(definition, value));
+      }
+      if (definition.attribute) {
+        root.setAttribute(definition.attribute, String(value));
+      }
+    });
+  }
+
+  /**
+   * Convert a setting value to the CSS value for its custom property
+   * Select options may carry a `css` value (e.g., a font stack); numbers get their `unit`.
+   */
+  static toCssValue(definition, value) {
+    if (definition.type === 'select') {
+      const option = ThemeSettings.getOptions(definition).find(item => item.value === value);
+      return option && option.css !== undefined ? option.css : String(value);
+    }
+    if (definition.type === 'number') {
+      return `${value}${definition.unit || ''}`;
+    }
+    return String(value);
+  }
+
+  /**
+   * Normalize select options; options may be values ("grid") or { value, label, css } objects
+   * @returns {Array<{value: string, label: string, css?: string}>} Options
+   */
+  static getOptions(definition) {
+    return (Array.isArray(definition.options) ? definition.options : []).map(option =>
+      typeof option === 'object' && option !== null
+        ? option
+        : { value: option, label: String(option) }
+    );
+  }
+
+  /**
+   * Check a value against a setting definition
+   * @returns {string} Reason the value is invalid, or an empty string
+   */
+  static validateValue(definition, value) {
+    switch (definition.type) {
+      case 'color':
+        return typeof value === 'string' && HEX_COLOR_PATTERN.test(value)
+          ? ''
+          : `expected a hex color like #3b82f6, got ${JSON.stringify(value)}`;
+      case 'select': {
+        const values = ThemeSettings.getOptions(definition).map(option => option.value);
+        return values.includes(value)
+          ? ''
+          : `expected one of ${values.join(', ')}, got ${JSON.stringify(value)}`;
+      }
+      case 'number':
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          return `expected a number, got ${JSON.stringify(value)}`;
+        }
+        if (typeof definition.min === 'number' && value < definition.min) {
+          return `must be at least ${definition.min}`;
+        }
+        if (typeof definition.max === 'number' && value > definition.max) {
+          return `must be at most ${definition.max}`;
+        }
+        return '';
+      case 'boolean':
+        return typeof value === 'boolean' ? '' : `expected true or false, got ${JSON.stringify(value)}`;
+      default:
+        return `unknown type ${JSON.stringify(definition.type)}`;
+    }
+  }
+
+  /**
+   * Validate a manifest settings schema (used by scripts/validate.js)
+   * @param {Object} schema - manifest.settings
+   * @returns {string[]} Errors, empty when the schema is valid
+   */
+  static validateSchema(schema) {
+    const errors = [];
+
+    if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+      return ['settings must be an object of setting groups'];
+    }
+
+    const seenKeys = new Set();
+    Object.entries(schema).forEach(([group, settings]) => {
+      if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+        errors.push(`settings.${group} must be an object of settings`);
+        return;
+      }
+
+      Object.entries(settings).forEach(([key, definition]) => {
+        const name = `settings.${group}.${key}`;
+
+        if (seenKeys.has(key)) {
+          errors.push(`${name}: setting key "${key}" is used in more than one group`);
+        }
+        seenKeys.add(key);
+
+        if (typeof definition !== 'object' || definition === null) {
+          errors.push(`${name} must be an object`);
+          return;
+        }
+        if (!SETTING_TYPES.includes(definition.type)) {
+          errors.push(`${name}.type must be one of ${SETTING_TYPES.join(', ')}`);
+          return;
+        }
+        if (!definition.label) {
+          errors.push(`${name}.label is required`);
+        }
+        if (definition.type === 'select' && ThemeSettings.getOptions(definition).length === 0) {
+          errors.push(`${name}.options must list at least one option`);
+        }
+        if (definition.type === 'number' && typeof definition.min === 'number' &&
+            typeof definition.max === 'number' && definition.min > definition.max) {
+          errors.push(`${name}: min must not be greater than max`);
+        }
+        if (definition.cssVariable !== undefined && !/^--[\w-]+$/.test(definition.cssVariable)) {
+          errors.push(`${name}.cssVariable must be a custom property name like --primary-color`);
+        }
+        if (definition.attribute !== undefined && !/^data-[a-z][\w-]*$/.test(definition.attribute)) {
+          errors.push(`${name}.attribute must be a data attribute like data-product-layout`);
+        }
+        if (!('default' in definition)) {
+          errors.push(`${name}.default is required`);
+        } else {
+          const error = ThemeSettings.validateValue(definition, definition.default);
+          if (error) errors.push(`${name}.default: ${error}`);
+        }
+      });
+    });
+
+    return errors;
+  }
+}
+
+// Export for use in main.js and scripts/validate.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeSettings;
+}
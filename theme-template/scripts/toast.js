@@ -0,0 +1,199 @@
+/**
+ * Suchify Theme Toasts
+ *
+ * Short notifications shown in a corner of the page and read out by screen
+ * readers, for things that happen away from where the shopper is looking
+ * (an item added to the cart, a request that failed):
+ *
+ *   const toasts = new Toaster();
+ *   toasts.mount(document.body);
+ *   toasts.show('Added to your cart', { type: 'success' });
+ *   toasts.show('You appear to be offline.', { type: 'error' });
+ *
+ * Errors are announced right away (role="alert"); other toasts wait until
+ * the screen reader is idle (role="status"). Each toast closes itself after
+ * its duration, which stops running while the pointer or focus is on a toast.
+ * The close button has data-action="dismiss-toast" and data-toast-id; the
+ * theme's ActionDispatcher calls dismiss() for it.
+ */
+
+const TOAST_TYPES = ['info', 'success', 'error'];
+
+class Toaster {
+  /**
+   * @param {Object} options - Options
+   * @param {number} options.duration - Milliseconds a toast stays (defaults to 5000)
+   * @param {number} options.errorDuration - Milliseconds an error stays, to leave time to read it (defaults to 10000)
+   * @param {number} options.limit - Most toasts shown at once; the oldest closes first (defaults to 3)
+   */
+  constructor({ duration = 5000, errorDuration = 10000, limit = 3 } = {}) {
+    this.duration = duration;
+    this.errorDuration = errorDuration;
+    this.limit = limit;
+    this.toasts = []; // { id, type, message, el, timer, remaining, startedAt, persistent }, oldest first
+    this.nextId = 1;
+    this.paused = false;
+    this.el = null;
+    this.regions = {};
+  }
+
+  /**
+   * Add the toast region to the page (once; the live regions must exist
+   * before a toast is added for screen readers to announce it)
+   * @param {HTMLElement} parent - Element to add the region to (e.g., document.body)
+   * @returns {Toaster} The toaster
+   */
+  mount(parent) {
+    if (this.el && this.el.isConnected) return this;
+
+    this.el = document.createElement('div');
+    this.el.className = 'toast-region';
+    this.regions = {
+      polite: this.createRegion('status', 'polite'),
+      assertive: this.createRegion('alert', 'assertive')
+    };
+    this.el.append(this.regions.assertive, this.regions.polite);
+    parent.appendChild(this.el);
+
+    const pause = () => this.pause();
+    const resume = event => {
+      if (!this.el.contains(event.relatedTarget)) this.resume();
+    };
+    this.el.addEventListener('mouseover', pause);
+    this.el.addEventListener('focusin', pause);
+    this.el.addEventListener('mouseout', resume);
+    this.el.addEventListener('focusout', resume);
+
+    this.toasts = [];
+    return this;
+  }
+
+  createRegion(role, live) {
+    const region = document.createElement('div');
+    region.className = 'toast-list';
+    region.setAttribute('role', role);
+    region.setAttribute('aria-live', live);
+    return region;
+  }
+
+  /**
+   * Show a toast; showing the same message again restarts its timer instead
+   * @param {string} message - Text to show (not HTML)
+   * @param {Object} options - Options
+   * @param {string} options.type - "info", "success" or "error" (defaults to "info")
+   * @param {number} options.duration - Milliseconds before it closes (0 keeps it until dismissed)
+   * @param {string} options.closeLabel - Accessible name of the close button (defaults to "Close")
+   * @returns {number|null} Toast ID, or null if the toaster isn't mounted
+   */
+  show(message, { type = 'info', duration, closeLabel = 'Close' } = {}) {
+    if (!this.el) return null;
+    if (!TOAST_TYPES.includes(type)) type = 'info';
+    const timeout = duration !== undefined ? duration : (type === 'error' ? this.errorDuration : this.duration);
+
+    const existing = this.toasts.find(toast => toast.message === message && toast.type === type);
+    if (existing) {
+      this.startTimer(existing, timeout);
+      return existing.id;
+    }
+
+    const toast = { id: this.nextId++, type, message, el: this.render(message, type, closeLabel), timer: null };
+    toast.el.dataset.toastId = toast.id;
+    toast.el.querySelector('.toast-close').dataset.toastId = toast.id;
+
+    this.toasts.push(toast);
+    this.regions[type === 'error' ? 'assertive' : 'polite'].appendChild(toast.el);
+    this.startTimer(toast, timeout);
+
+    while (this.toasts.length > this.limit) {
+      this.dismiss(this.toasts[0].id);
+    }
+    return toast.id;
+  }
+
+  render(message, type, closeLabel) {
+    const el = document.createElement('div');
+    el.className = `toast toast-${type}`;
+
+    const text = document.createElement('p');
+    text.className = 'toast-message';
+    text.textContent = message;
+
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.dataset.action = 'dismiss-toast';
+    close.setAttribute('aria-label', closeLabel);
+    close.textContent = '×';
+
+    el.append(text, close);
+    return el;
+  }
+
+  /**
+   * Close a toast
+   * @param {number|string} id - Toast ID
+   */
+  dismiss(id) {
+    const index = this.toasts.findIndex(toast => String(toast.id) === String(id));
+    if (index === -1) return;
+
+    const [toast] = this.toasts.splice(index, 1);
+    const hadFocus = toast.el.contains(document.activeElement);
+    clearTimeout(toast.timer);
+    toast.el.remove();
+
+    // Focus on a removed toast moves to the page without a focusout; resume the others
+    if (this.toasts.length === 0 || hadFocus) {
+      this.resume();
+    }
+  }
+
+  /**
+   * Close every toast
+   */
+  clear() {
+    [...this.toasts].forEach(toast => this.dismiss(toast.id));
+  }
+
+  startTimer(toast, duration) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = duration;
+    toast.startedAt = Date.now();
+    toast.persistent = !(duration > 0);
+    if (!toast.persistent && !this.paused) {
+      toast.timer = setTimeout(() => this.dismiss(toast.id), duration);
+    }
+  }
+
+  /**
+   * Stop the timers (while the shopper is reading or using a toast)
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.toasts.forEach(toast => {
+      if (!toast.timer) return;
+      clearTimeout(toast.timer);
+      toast.timer = null;
+      // Leave a moment to finish reading once the pointer or focus leaves
+      toast.remaining = Math.max(1000, toast.remaining - (Date.now() - toast.startedAt));
+    });
+  }
+
+  /**
+   * Restart the timers with the time each toast had left
+   */
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    this.toasts.forEach(toast => {
+      if (!toast.persistent) this.startTimer(toast, toast.remaining);
+    });
+  }
+}
+
+// Export for use in main.js
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Toaster;
+}
@@ -0,0 +1,143 @@
+/**
+ * Suchify Theme Service Worker
+ *
+ * Keeps the theme usable offline:
+ * - Theme files (PRECACHE_URLS) are cached when the worker installs. They
+ *   are still fetched from the network when it's available, so changes show
+ *   up right away, and served from the cache when it isn't. Change
+ *   CACHE_VERSION when the list changes, so old caches are dropped.
+ * - Store settings, products, categories and promotions are fetched from the
+ *   network and cached, and the cached response is used when the network is
+ *   unavailable, so shoppers can keep browsing.
+ * - Product images are cached as they load (up to MAX_IMAGES).
+ * Cart changes, checkout and order status always go to the network; the theme
+ * queues additions to the cart made while offline (see scripts/offline.js).
+ *
+ * Registered by initTheme (see the `serviceWorker` parameter in main.js).
+ */
+
+const CACHE_VERSION = 'v3';
+const THEME_CACHE = `suchify-theme-${CACHE_VERSION}`;
+const API_CACHE = `suchify-api-${CACHE_VERSION}`;
+const IMAGE_CACHE = `suchify-images-${CACHE_VERSION}`;
+const MAX_IMAGES = 100;
+
+// Paths relative to this file; `npm run validate` checks that every file index.html loads is listed
+const PRECACHE_URLS = [
+  './',
+  'index.html',
+  'manifest.json',
+  'styles/main.css',
+  'scripts/api-errors.js',
+  'scripts/api-cache.js',
+  'scripts/api-transports.js',
+  'scripts/api-client.js',
+  'scripts/router.js',
+  'scripts/actions.js',
+  'scripts/component.js',
+  'scripts/toast.js',
+  'scripts/dialog.js',
+  'scripts/keyed-list.js',
+  'scripts/responsive-image.js',
+  'scripts/store.js',
+  'scripts/events.js',
+  'scripts/infinite-scroll.js',
+  'scripts/offline.js',
+  'scripts/theme-settings.js',
+  'scripts/i18n.js',
+  'scripts/locales/en.js',
+  'scripts/locales/es.js',
+  'scripts/locales/ar.js',
+  'scripts/main.js',
+  'assets/favicon.ico',
+  'assets/favicon-16x16.png',
+  'assets/favicon-32x32.png',
+  'assets/apple-touch-icon.png',
+  'assets/android-chrome-192x192.png',
+  'assets/android-chrome-512x512.png',
+  'assets/logo.png'
+];
+
+// Store API responses to keep for offline browsing (e.g., /api/store/my-store/products?page=2)
+const CACHED_API_PATTERN = /\/api\/store\/[^/]+\/(settings|products|categories|promotions)\/?$/;
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(THEME_CACHE)
+      .then(cache => cache.addAll(PRECACHE_URLS))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = [THEME_CACHE, API_CACHE, IMAGE_CACHE];
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name.startsWith('suchify-') && !current.includes(name))
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  const inScope = request.url.startsWith(self.registration.scope);
+
+  if (CACHED_API_PATTERN.test(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE));
+  } else if (request.mode === 'navigate') {
+    // Offline, any page in scope starts the theme from the cached index.html
+    event.respondWith(networkFirst(request, THEME_CACHE, new URL('index.html', self.registration.scope).href));
+  } else if (inScope) {
+    event.respondWith(networkFirst(request, THEME_CACHE));
+  } else if (request.destination === 'image') {
+    event.respondWith(cacheFirst(request, IMAGE_CACHE, MAX_IMAGES));
+  }
+});
+
+/**
+ * Fetch from the network and cache the response; use the cache when the network fails
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @param {string} fallbackUrl - Cached URL to answer with when the request itself isn't cached
+ */
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+/**
+ * Answer from the cache; fetch and cache what isn't cached yet
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to use
+ * @param {number} maxEntries - Oldest entries are dropped past this many
+ */
+async function cacheFirst(request, cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  // Opaque (cross-origin, no CORS) responses can't be checked and use a lot of storage; don't keep them
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+  }
+  return response;
+}